@@ -1,28 +1,273 @@
 /* eslint-disable no-useless-escape */
-const { Plugin, Notice, TFile, normalizePath } = require("obsidian");
+const {
+    Plugin,
+    PluginSettingTab,
+    Modal,
+    Setting,
+    Notice,
+    FuzzySuggestModal,
+    ItemView,
+    Component,
+    MarkdownRenderer,
+    TFile,
+    normalizePath,
+    debounce,
+    moment,
+    parseFrontMatterTags,
+    getAllTags,
+    editorInfoField,
+} = require("obsidian");
+const { ViewPlugin, Decoration, WidgetType } = require("@codemirror/view");
+const {
+    RangeSetBuilder,
+    Annotation,
+    Transaction,
+} = require("@codemirror/state");
 
 /**
  * =========================
- * USER-EDITABLE SETTINGS
+ * DEFAULT SETTINGS
  * =========================
  *
- * Add any callout identifiers you want to track here.
- * These correspond to:  > [!todo]   > [!question]   etc.
+ * Everything here is editable from the plugin's settings tab and persisted
+ * with loadData/saveData, so plugin updates no longer wipe local edits.
  *
- * Default:
+ * trackedTypes: callout identifiers to track, e.g.  > [!todo]   > [!question]
+ * masterFolder: where to put master files. "" means vault root.
+ * types:        per-type options, keyed by callout type (see DEFAULT_TYPE_SETTINGS).
  */
-const CALLOUT_TYPES = ["todo", "questions"];
+const DEFAULT_SETTINGS = {
+    trackedTypes: ["todo", "questions"],
+    masterFolder: "",
+    // Ask before applying a delete policy to source notes.
+    confirmDeletes: true,
+    types: {},
+    // Extra master files with their own filter (see DEFAULT_VIEW_SETTINGS).
+    views: [],
+    // Copy files into the plugin's backups folder before the plugin
+    // overwrites them. Oldest batches go first past either limit.
+    backupsEnabled: true,
+    backupMaxBatches: 100,
+    backupMaxDays: 14,
+    // Exports of the tracked callouts for other tools (see EXPORT_FORMATS).
+    exportFolder: "Callout exports",
+    autoExport: { json: false, csv: false, ics: false },
+};
+
+const DEFAULT_TYPE_SETTINGS = {
+    // Explicit master file path. "" means `${masterFolder}/${type}.md`.
+    // Types given the same path share one combined master.
+    masterPath: "",
+    // Other callout identifiers exported as this type, e.g. "task, check"
+    // for todo. Source callouts keep the identifier they were written with.
+    aliases: "",
+    // "markdown" → [display](path#^id), "wikilink" → [[path#^id|display]]
+    linkStyle: "markdown",
+    // Link text. Placeholders: see TEMPLATE_PLACEHOLDERS.
+    displayTemplate: "{{display}}",
+    // Chunk layout. Must start with a line that is exactly {{link}} and
+    // contain {{body}} on a line of its own. Any other lines are decoration:
+    // regenerated on export and stripped again when parsing the master.
+    entryTemplate: "{{link}}\n{{body}}",
+    // Written once when the master is created (or rebuilt without a header).
+    headerTemplate: "",
+    // "none" | "folder" | "note" | "tag" → one generated `## ` heading per group.
+    groupBy: "none",
+    // "path" | "ctime" | "mtime" | "due" | "priority"
+    sortBy: "path",
+    sortDescending: false,
+    // Items typed under `## <inboxHeading>` in the master become new callouts,
+    // e.g. "Inbox". "" disables the inbox section.
+    inboxHeading: "",
+    // Note that receives inbox items not placed under a note link.
+    inboxNote: "Inbox.md",
+    // What removing an entry from the master does to its source callout:
+    // "ignore" | "remove" | "complete" | "archive" (see DELETE_POLICY_OPTIONS).
+    deletePolicy: "ignore",
+    // Parse checkboxes and Tasks-style metadata in bodies. Defaults to on for
+    // the "todo" type only (see typeSettings).
+    taskAware: false,
+    // Where fully checked callouts go: "none" | "section" | "archive".
+    completedMode: "none",
+    // Archive master for completedMode "archive". "" means `<master>-archive.md`.
+    archivePath: "",
+    // Callout title and fold marker in the master: "none" | "line" | "link".
+    titleMode: "line",
+    // Which notes are scanned for this type, one rule per line (see
+    // compileNoteFilter). Folder globs: "Projects/**", "Templates".
+    includeFolders: "",
+    excludeFolders: "",
+    // Tags without "#"; nested tags match their parent, e.g. "project".
+    requireTags: "",
+    excludeTags: "",
+    // Frontmatter predicates: "key", "!key", "key = value", "key != value".
+    frontmatterFilters: "",
+};
+
+/**
+ * A view is one more master file showing the callouts of some tracked types
+ * that pass its filter. It uses the layout of its first type, and edits in it
+ * sync back to the source and on to every other master.
+ */
+const DEFAULT_VIEW_SETTINGS = {
+    path: "",
+    // Callout types, comma separated. Only tracked types count.
+    types: "todo",
+    // Note rules, same format as the per-type ones in DEFAULT_TYPE_SETTINGS.
+    includeFolders: "",
+    excludeFolders: "",
+    requireTags: "",
+    excludeTags: "",
+    frontmatterFilters: "",
+    // Body text to look for: plain text (case-insensitive) or /regex/flags.
+    textMatch: "",
+    // "any" | "open" | "done" (see CHECKBOX_STATE_OPTIONS).
+    checkboxState: "any",
+};
+
+const CHECKBOX_STATE_OPTIONS = {
+    any: "Any",
+    open: "Has open checkboxes",
+    done: "All checkboxes done",
+};
+
+const TITLE_MODE_OPTIONS = {
+    none: "Don't show",
+    line: "First line, e.g. [!question]- Title",
+    link: "As the link text",
+};
+
+const COMPLETED_MODE_OPTIONS = {
+    none: "Keep them in place",
+    section: "Move to a Completed section",
+    archive: "Move to an archive master",
+};
+
+const COMPLETED_HEADING = "Completed";
+
+// Tasks plugin priority markers, most to least urgent. Unmarked tasks rank
+// between medium and low, as in the Tasks plugin.
+const PRIORITY_MARKERS = ["🔺", "⏫", "🔼", null, "🔽", "⏬"];
+const NO_PRIORITY_RANK = PRIORITY_MARKERS.indexOf(null);
+
+const TASK_LINE_RE = /^(\s*(?:[-*+]|\d+[.)])\s+)\[(.)\](.*)$/;
 
-// Where to put master files. "" means vault root.
-const MASTER_FOLDER = "";
+const DELETE_POLICY_OPTIONS = {
+    ignore: "Nothing (entry comes back on next sync)",
+    remove: "Remove the callout from the source",
+    complete: "Check all its checkboxes",
+    archive: `Change it to an untracked [!archived] callout`,
+};
+
+// Callout type that "archive" rewrites removed callouts to.
+const ARCHIVED_CALLOUT_TYPE = "archived";
+
+const GROUP_BY_OPTIONS = {
+    none: "No grouping",
+    folder: "Source folder",
+    note: "Source note",
+    tag: "First frontmatter tag",
+};
+
+const SORT_BY_OPTIONS = {
+    path: "Source path",
+    ctime: "Note creation time",
+    mtime: "Note modification time",
+    due: "Due date",
+    priority: "Task priority",
+};
+
+const GROUP_HEADING_MARKER = "%%callout-group%%";
+const GROUP_HEADING_RE = /^##\s+(.*?)\s*%%callout-group%%\s*$/;
+
+// Tasks-style `📅 2024-05-01` or Dataview-style `due:: 2024-05-01`.
+const DUE_DATE_RE = /(?:📅|\bdue::?)\s*(\d{4}-\d{2}-\d{2})/iu;
+
+const TEMPLATE_PLACEHOLDERS = [
+    "display",
+    "title",
+    "path",
+    "folder",
+    "blockId",
+    "mtime",
+    "type",
+];
+
+const DEFAULT_ENTRY_TEMPLATE = DEFAULT_TYPE_SETTINGS.entryTemplate;
+
+// Everything above this line in a master is header and never parsed as chunks.
+const HEADER_END_MARKER = "%% callout-exporter: entries %%";
 
 /**
  * =========================
  * INTERNAL TUNING
  * =========================
  */
+// Idle time after the last edit before dirty notes are synced (as one batch).
 const SYNC_DEBOUNCE_MS = 250;
-const SUPPRESS_MS = 700;
+// Hashes of our own writes remembered per file until their modify event.
+const EXPECTED_WRITES_MAX = 8;
+const SETTINGS_APPLY_DEBOUNCE_MS = 600;
+const STATE_SAVE_DEBOUNCE_MS = 2000;
+
+// Runtime state (not settings) lives next to data.json in the plugin folder.
+const STATE_FILE = "sync-state.json";
+// Original text of callouts changed by master deletions, for undo.
+const TRASH_FILE = "trash.json";
+const TRASH_MAX_BATCHES = 50;
+// Per-note callout index, so rebuilds only re-read notes that changed.
+const INDEX_FILE = "callout-index.json";
+const INDEX_VERSION = 2;
+// Below this many notes to (re)index, no progress Notice.
+const INDEX_NOTICE_MIN_FILES = 100;
+const INDEX_PROGRESS_EVERY = 200;
+// Previous contents of overwritten files, grouped into batches: one per
+// queued operation (see serialize).
+const BACKUP_FOLDER = "backups";
+const BACKUP_INDEX_FILE = "backups/index.json";
+// Sync log: entries kept in memory, newest last.
+const VIEW_TYPE_SYNC_LOG = "callout-exporter-sync-log";
+const SYNC_LOG_MAX_ENTRIES = 500;
+const SYNC_LOG_RENDER_DEBOUNCE_MS = 300;
+// Idle time after the last edit before editor badges are re-read; until then
+// the existing ones move with the text.
+const BADGE_REFRESH_DEBOUNCE_MS = 300;
+// Marks editor transactions made by our own writes (see commitWrite).
+const syncWriteAnnotation = Annotation.define();
+
+// Card view: every tracked callout as an editable card.
+const VIEW_TYPE_CALLOUT_CARDS = "callout-exporter-cards";
+
+// Export formats: file extension → label. Exports go to settings.exportFolder,
+// one file per type.
+const EXPORT_FORMATS = {
+    json: "JSON",
+    csv: "CSV",
+    ics: "iCalendar",
+};
+const CSV_COLUMNS = [
+    "type",
+    "blockId",
+    "path",
+    "title",
+    "checkbox",
+    "due",
+    "body",
+];
+const AUTO_EXPORT_DEBOUNCE_MS = 2000;
+
+// Master checks: a relink is only offered above this body similarity.
+const RELINK_MIN_SIMILARITY = 0.6;
+const ORPHAN_REASONS = {
+    note: "note not found",
+    untracked: "note no longer exports this type",
+    block: "block ID not found in the note",
+};
+
+// Git-style markers around both versions of a conflicting master entry.
+const CONFLICT_START = "<<<<<<< source";
+const CONFLICT_SEP = "=======";
+const CONFLICT_END = ">>>>>>> master";
 
 function uniqLower(arr) {
     return Array.from(
@@ -45,9 +290,230 @@ function generateId(len = 8) {
     return out.slice(0, len);
 }
 
-function masterPathForType(type) {
+/** generateId, retried until `isTaken` (e.g. an index lookup) says no. */
+function generateUniqueId(isTaken = null) {
+    let id = generateId();
+    while (isTaken?.(id)) id = generateId();
+    return id;
+}
+
+/** Every `^id` that ends a line in `text`, tracked or not. */
+function collectBlockIds(text) {
+    return new Set(
+        Array.from(
+            String(text).matchAll(/\^([A-Za-z0-9_-]+)[ \t]*$/gm),
+            (m) => m[1],
+        ),
+    );
+}
+
+/**
+ * Give an extracted callout a new block ID in place on `lines` (its ^id line
+ * keeps its quote prefix). Returns false if the callout has no ID line.
+ */
+function replaceCalloutId(lines, callout, newId) {
+    if (callout.idLine == null) return false;
+    const line = lines[callout.idLine];
+    const at = line.lastIndexOf(`^${callout.blockId}`);
+    if (at < 0) return false;
+    lines[callout.idLine] =
+        line.slice(0, at) +
+        `^${newId}` +
+        line.slice(at + callout.blockId.length + 1);
+    callout.blockId = newId;
+    return true;
+}
+
+function typeSettings(settings, type) {
+    return Object.assign(
+        {},
+        DEFAULT_TYPE_SETTINGS,
+        { taskAware: type === "todo" },
+        settings.types?.[type],
+    );
+}
+
+function archivePathForType(settings, type) {
+    const custom = String(typeSettings(settings, type).archivePath || "");
+    if (custom.trim()) {
+        const p = custom.trim();
+        return normalizePath(p.toLowerCase().endsWith(".md") ? p : `${p}.md`);
+    }
+    return masterPathForType(settings, type).replace(/\.md$/i, "-archive.md");
+}
+
+function masterPathForType(settings, type) {
+    const custom = String(typeSettings(settings, type).masterPath || "").trim();
+    if (custom) return toMarkdownPath(custom);
+
+    const folder = String(settings.masterFolder || "").trim();
     const name = `${type}.md`;
-    return normalizePath(MASTER_FOLDER ? `${MASTER_FOLDER}/${name}` : name);
+    return normalizePath(folder ? `${folder}/${name}` : name);
+}
+
+/**
+ * Folder glob → RegExp over vault paths. "*" stays within a folder, "**"
+ * spans folders, and a pattern also matches everything below it.
+ */
+function globToRegExp(glob) {
+    const g = normalizePath(String(glob).trim());
+    let re = "";
+    for (let i = 0; i < g.length; i++) {
+        const ch = g[i];
+        if (ch === "*" && g[i + 1] === "*") {
+            i++;
+            if (g[i + 1] === "/") {
+                i++;
+                re += "(?:.*/)?";
+            } else {
+                re += ".*";
+            }
+        } else if (ch === "*") {
+            re += "[^/]*";
+        } else if (ch === "?") {
+            re += "[^/]";
+        } else {
+            re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${re}(?:/.*)?$`);
+}
+
+function splitRuleLines(value, separator = /\r?\n/) {
+    return String(value || "")
+        .split(separator)
+        .map((l) => l.trim())
+        .filter(Boolean);
+}
+
+function parseFrontmatterPredicate(rule) {
+    const m = rule.match(/^(!?)\s*([^=!]+?)\s*(?:(!?=)\s*(.*))?$/);
+    if (!m) return null;
+    const [, not, key, op, value] = m;
+    if (op) return { key, op, value: value.trim().toLowerCase() };
+    return { key, op: not ? "absent" : "present" };
+}
+
+function frontmatterPredicateMatches(pred, frontmatter) {
+    const raw = frontmatter?.[pred.key];
+    const present = raw != null && raw !== false && raw !== "";
+    if (pred.op === "present") return present;
+    if (pred.op === "absent") return !present;
+
+    const values = (Array.isArray(raw) ? raw : [raw])
+        .filter((v) => v != null)
+        .map((v) => String(v).trim().toLowerCase());
+    const hit = values.includes(pred.value);
+    return pred.op === "=" ? hit : !hit;
+}
+
+/**
+ * Include/exclude rules of a type or view, or null when there are none
+ * (every note passes).
+ */
+function compileNoteFilter(rules) {
+    const tags = (value) =>
+        uniqLower(
+            splitRuleLines(value, /[\n,]/).map((t) => t.replace(/^#/, "")),
+        );
+    const filter = {
+        includeFolders: splitRuleLines(rules.includeFolders).map(globToRegExp),
+        excludeFolders: splitRuleLines(rules.excludeFolders).map(globToRegExp),
+        requireTags: tags(rules.requireTags),
+        excludeTags: tags(rules.excludeTags),
+        frontmatter: splitRuleLines(rules.frontmatterFilters)
+            .map(parseFrontmatterPredicate)
+            .filter(Boolean),
+    };
+    return Object.values(filter).some((list) => list.length) ? filter : null;
+}
+
+/**
+ * Does a note pass a compiled filter? `tags` are lowercase without "#".
+ */
+function noteMatchesFilter(filter, path, tags, frontmatter) {
+    if (!filter) return true;
+    if (
+        filter.includeFolders.length &&
+        !filter.includeFolders.some((re) => re.test(path))
+    )
+        return false;
+    if (filter.excludeFolders.some((re) => re.test(path))) return false;
+
+    const hasTag = (want) =>
+        tags.some((t) => t === want || t.startsWith(`${want}/`));
+    if (!filter.requireTags.every(hasTag)) return false;
+    if (filter.excludeTags.some(hasTag)) return false;
+
+    return filter.frontmatter.every((pred) =>
+        frontmatterPredicateMatches(pred, frontmatter),
+    );
+}
+
+/**
+ * Plain text (case-insensitive) or /regex/flags → RegExp, or null. An invalid
+ * regex is matched as plain text (see textMatchError).
+ */
+function compileTextMatch(value) {
+    const text = String(value || "").trim();
+    if (!text) return null;
+    const m = text.match(/^\/(.+)\/([a-z]*)$/);
+    if (m && !textMatchError(text)) return new RegExp(m[1], m[2]);
+    return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+}
+
+// Why a /regex/flags text match doesn't compile, or null.
+function textMatchError(value) {
+    const m = String(value || "")
+        .trim()
+        .match(/^\/(.+)\/([a-z]*)$/);
+    if (!m) return null;
+    try {
+        new RegExp(m[1], m[2]);
+        return null;
+    } catch (e) {
+        return `${e.message}. Matching it as plain text.`;
+    }
+}
+
+function compileViewFilter(view) {
+    return {
+        note: compileNoteFilter(view),
+        text: compileTextMatch(view.textMatch),
+        checkboxState: CHECKBOX_STATE_OPTIONS[view.checkboxState]
+            ? view.checkboxState
+            : "any",
+    };
+}
+
+/** Does a callout (in note `note`, see noteInfo) belong in a view? */
+function viewAccepts(filter, bodyLines, note) {
+    if (!noteMatchesFilter(filter.note, note.path, note.tags, note.frontmatter))
+        return false;
+    if (filter.text && !filter.text.test(bodyLines.join("\n"))) return false;
+    if (filter.checkboxState === "any") return true;
+
+    const { tasks, allDone } = parseTaskInfo(bodyLines);
+    return filter.checkboxState === "done"
+        ? allDone
+        : tasks.some((t) => !t.checked);
+}
+
+function toMarkdownPath(path) {
+    const withExt = path.toLowerCase().endsWith(".md") ? path : `${path}.md`;
+    return normalizePath(withExt);
+}
+
+function noteNameFromPath(path) {
+    return String(path || "")
+        .split("/")
+        .pop()
+        .replace(/\.md$/i, "");
+}
+
+function parentFolderPath(path) {
+    const idx = path.lastIndexOf("/");
+    return idx > 0 ? path.slice(0, idx) : "";
 }
 
 function isAlreadyExistsError(e) {
@@ -62,21 +528,227 @@ function isMarkdownFile(file) {
     return file instanceof TFile && file.extension.toLowerCase() === "md";
 }
 
+/**
+ * Split a line into leading indentation, blockquote depth and the rest.
+ * Markers are ">" with at most one following space, so indentation inside
+ * the quoted content (e.g. ">   - nested item") is kept in `rest`.
+ */
+function splitQuotePrefix(line) {
+    const m = String(line).match(/^([ \t]*)((?:[ \t]*>[ \t]?)*)(.*)$/);
+    return {
+        indent: m[1],
+        markers: m[2],
+        depth: (m[2].match(/>/g) || []).length,
+        rest: m[3],
+    };
+}
+
+/** Remove the indentation and exactly `depth` blockquote markers. */
+function stripQuoteMarkers(line, depth) {
+    let out = String(line).replace(/^[ \t]*/, "");
+    for (let d = 0; d < depth; d++) {
+        const next = out.replace(/^[ \t]*>[ \t]?/, "");
+        if (next === out) break;
+        out = next;
+    }
+    return out;
+}
+
+/**
+ * Recognize a callout header at any nesting level:
+ *   > [!todo]   > > [!todo]   (inside another callout/blockquote)
+ *       > [!todo]            (indented under a list item)
+ * Returns { type, depth, prefix } where `prefix` is everything before the
+ * callout's own ">" (indentation plus outer quote markers, as written).
+ */
 function parseCalloutStart(line) {
     // Supports: > [!todo]  > [!todo]+ Title  > [!todo]- Title
-    const m = line.match(/^>\s*\[!([^\]\s]+)\]/i);
+    const q = splitQuotePrefix(line);
+    if (!q.depth) return null;
+    const m = q.rest.match(/^\[!([^\]\s]+)\]([+-]?)\s*(.*?)\s*$/i);
     if (!m) return null;
-    return m[1].toLowerCase();
+    return {
+        type: m[1].toLowerCase(),
+        fold: m[2],
+        title: m[3],
+        depth: q.depth,
+        prefix: q.indent + q.markers.slice(0, q.markers.lastIndexOf(">")),
+    };
+}
+
+function buildCalloutHeader({ prefix = "", type, fold = "", title = "" }) {
+    return `${prefix}> [!${type}]${fold}${title ? ` ${title}` : ""}`;
 }
 
-function unquoteLine(line) {
-    // Remove a single leading blockquote marker: ">" or "> "
-    return line.replace(/^>\s?/, "");
+/**
+ * First master body line mirroring the callout header, e.g.
+ * "[!question]- Why does X happen?". The type is the identifier as written
+ * in the note; editing it to another tracked type (or alias) retypes the
+ * source callout.
+ */
+function buildHeaderMirror({ type, fold = "", title = "" }) {
+    return `[!${type}]${fold}${title ? ` ${title}` : ""}`;
+}
+
+function parseHeaderMirror(line) {
+    const m = String(line || "").match(/^\[!([^\]\s]+)\]([+-]?)\s*(.*?)\s*$/);
+    return m ? { type: m[1].toLowerCase(), fold: m[2], title: m[3] } : null;
+}
+
+// Link text can't hold brackets, pipes or line breaks.
+function sanitizeLinkText(text) {
+    return String(text || "")
+        .replace(/[\[\]|\r\n]/g, " ")
+        .trim();
+}
+
+function unquoteLine(line, depth = 1) {
+    // Remove the callout's own blockquote markers: ">" or "> " per level
+    return stripQuoteMarkers(line, depth);
 }
 
-function quoteBodyLines(bodyLines) {
+function quoteBodyLines(bodyLines, prefix = "") {
     // In a callout blockquote: blank line should be ">" to remain inside the blockquote.
-    return bodyLines.map((l) => (String(l).trim() === "" ? ">" : `> ${l}`));
+    return bodyLines.map((l) =>
+        String(l).trim() === "" ? `${prefix}>` : `${prefix}> ${l}`,
+    );
+}
+
+// Past this many cells the LCS table is skipped (shown as remove + add).
+const DIFF_MAX_CELLS = 2000000;
+
+/**
+ * Full line diff of two texts: [{ op: " " | "-" | "+", line }], removals
+ * before additions within a changed run.
+ */
+function diffAllLines(before, after) {
+    const a = String(before).split(/\r?\n/);
+    const b = String(after).split(/\r?\n/);
+
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (
+        tail < a.length - head &&
+        tail < b.length - head &&
+        a[a.length - 1 - tail] === b[b.length - 1 - tail]
+    )
+        tail++;
+
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+    const mid = [];
+    if (midA.length * midB.length > DIFF_MAX_CELLS) {
+        midA.forEach((line) => mid.push({ op: "-", line }));
+        midB.forEach((line) => mid.push({ op: "+", line }));
+    } else {
+        // lcs[i][j]: common subsequence length of midA[i..] and midB[j..]
+        const lcs = Array.from(
+            { length: midA.length + 1 },
+            () => new Uint32Array(midB.length + 1),
+        );
+        for (let i = midA.length - 1; i >= 0; i--)
+            for (let j = midB.length - 1; j >= 0; j--)
+                lcs[i][j] =
+                    midA[i] === midB[j]
+                        ? lcs[i + 1][j + 1] + 1
+                        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        let i = 0;
+        let j = 0;
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                mid.push({ op: " ", line: midA[i++] });
+                j++;
+            } else if (
+                i < midA.length &&
+                (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])
+            ) {
+                mid.push({ op: "-", line: midA[i++] });
+            } else {
+                mid.push({ op: "+", line: midB[j++] });
+            }
+        }
+    }
+
+    return [
+        ...a.slice(0, head).map((line) => ({ op: " ", line })),
+        ...mid,
+        ...a.slice(a.length - tail).map((line) => ({ op: " ", line })),
+    ];
+}
+
+/**
+ * Line diff of two texts for previews (see diffAllLines), unchanged runs
+ * cut to `context` lines around each change ("…" between).
+ */
+function diffLines(before, after, context = 3) {
+    const all = diffAllLines(before, after);
+
+    // Keep changes plus `context` lines either side.
+    const keep = all.map(() => false);
+    all.forEach((d, k) => {
+        if (d.op === " ") return;
+        for (
+            let n = Math.max(0, k - context);
+            n <= Math.min(all.length - 1, k + context);
+            n++
+        )
+            keep[n] = true;
+    });
+    const out = [];
+    all.forEach((d, k) => {
+        if (keep[k]) out.push(d);
+        else if (keep[k - 1] || (k === 0 && all.length > 1))
+            out.push({ op: " ", line: "…" });
+    });
+    return out;
+}
+
+/**
+ * The edits turning `before` into `after` as editor changes
+ * ([{ from, to, insert }] in `before` offsets), one per changed run of
+ * lines, so text outside them (and a cursor there) is left alone.
+ */
+function lineEdits(before, after) {
+    const lines = String(before).split("\n");
+    const starts = [];
+    let pos = 0;
+    for (const line of lines) {
+        starts.push(pos);
+        pos += line.length + 1;
+    }
+    starts.push(pos);
+
+    const runs = [];
+    let run = null;
+    let i = 0;
+    for (const d of diffAllLines(before, after)) {
+        if (d.op === " ") {
+            if (run) runs.push(run);
+            run = null;
+            i++;
+            continue;
+        }
+        run ??= { fromLine: i, toLine: i, insert: [] };
+        if (d.op === "-") run.toLine = ++i;
+        else run.insert.push(d.line);
+    }
+    if (run) runs.push(run);
+
+    const end = before.length;
+    return runs.map(({ fromLine, toLine, insert }) => {
+        let from = starts[fromLine];
+        let to = starts[toLine];
+        // Runs reaching past the last line: it has no newline of its own.
+        if (fromLine === lines.length)
+            return { from: end, to: end, insert: `\n${insert.join("\n")}` };
+        if (toLine === lines.length) {
+            to = end;
+            if (!insert.length && fromLine > 0) from--;
+            return { from, to, insert: insert.join("\n") };
+        }
+        return { from, to, insert: insert.map((l) => `${l}\n`).join("") };
+    });
 }
 
 function trimTrailingBlankLines(lines) {
@@ -85,6 +757,115 @@ function trimTrailingBlankLines(lines) {
     return out;
 }
 
+function hashLines(lines) {
+    // Normalized body; only compared for equality.
+    return hashString(trimTrailingBlankLines(lines).join("\n"));
+}
+
+// FNV-1a
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+// Dice coefficient over the words of two bodies (0 = nothing shared, 1 = same words).
+function textSimilarity(aLines, bLines) {
+    const words = (lines) =>
+        lines
+            .join(" ")
+            .toLowerCase()
+            .replace(/\[.\]/g, " ")
+            .match(/[\p{L}\p{N}]+/gu) ?? [];
+    const a = words(aLines);
+    const b = words(bLines);
+    if (!a.length || !b.length) return 0;
+    const counts = new Map();
+    for (const w of a) counts.set(w, (counts.get(w) ?? 0) + 1);
+    let shared = 0;
+    for (const w of b) {
+        const n = counts.get(w);
+        if (!n) continue;
+        shared++;
+        counts.set(w, n - 1);
+    }
+    return (2 * shared) / (a.length + b.length);
+}
+
+function snapshotKey(sourcePath, blockId) {
+    return `${sourcePath}#^${blockId}`;
+}
+
+function hasConflictMarkers(lines) {
+    return lines.some((l) => String(l).startsWith(CONFLICT_START));
+}
+
+function buildConflictLines(sourceLines, masterLines) {
+    return [
+        CONFLICT_START,
+        ...sourceLines,
+        CONFLICT_SEP,
+        ...masterLines,
+        CONFLICT_END,
+    ];
+}
+
+/**
+ * Refresh the source side of a pending conflict, keeping the master side
+ * and anything the user wrote around the markers.
+ */
+function replaceConflictSource(lines, sourceLines) {
+    const start = lines.findIndex((l) => String(l).startsWith(CONFLICT_START));
+    const sep = lines.findIndex((l, i) => i > start && l === CONFLICT_SEP);
+    if (start < 0 || sep < 0) return lines;
+    return [...lines.slice(0, start + 1), ...sourceLines, ...lines.slice(sep)];
+}
+
+function parseSnapshotKey(key) {
+    const idx = key.lastIndexOf("#^");
+    if (idx < 0) return null;
+    return { sourcePath: key.slice(0, idx), blockId: key.slice(idx + 2) };
+}
+
+/**
+ * Paths whose sync state differs between two captured states (see
+ * captureState): by their snapshots, index record or master entries.
+ */
+function changedStatePaths(a, b) {
+    const paths = new Set();
+    const differs = (x, y) => JSON.stringify(x) !== JSON.stringify(y);
+    const compare = (x, y, pathOf) => {
+        for (const key of new Set([...Object.keys(x), ...Object.keys(y)]))
+            if (differs(x[key], y[key])) paths.add(pathOf(key));
+    };
+    compare(
+        a.syncState.snapshots,
+        b.syncState.snapshots,
+        (key) => parseSnapshotKey(key)?.sourcePath ?? key,
+    );
+    compare(a.files, b.files, (path) => path);
+    compare(
+        a.syncState.masterEntries,
+        b.syncState.masterEntries,
+        (path) => path,
+    );
+    for (const path of new Set([
+        ...a.masterLines.keys(),
+        ...b.masterLines.keys(),
+    ]))
+        if (
+            differs(
+                Array.from(a.masterLines.get(path) ?? []),
+                Array.from(b.masterLines.get(path) ?? []),
+            )
+        )
+            paths.add(path);
+    return paths;
+}
+
 function parseBlockId(line) {
     const m = String(line || "")
         .trim()
@@ -92,79 +873,259 @@ function parseBlockId(line) {
     return m ? m[1] : null;
 }
 
+/**
+ * Frontmatter key that opts a single note out of exporting, e.g.
+ *   callout-exporter: ignore
+ */
+const NOTE_OPT_OUT_KEY = "callout-exporter";
+const NOTE_OPT_OUT_VALUES = new Set(["ignore", "false", "off", "no"]);
+
+/** [start, end) of a leading YAML frontmatter block, or null. */
+function frontmatterRange(lines) {
+    if (!/^---\s*$/.test(lines[0] ?? "")) return null;
+    for (let i = 1; i < lines.length; i++) {
+        if (/^(?:---|\.\.\.)\s*$/.test(lines[i]))
+            return { start: 0, end: i + 1 };
+    }
+    return null;
+}
+
+function noteOptedOut(lines) {
+    const fm = frontmatterRange(lines);
+    if (!fm) return false;
+    for (let i = fm.start + 1; i < fm.end - 1; i++) {
+        const m = lines[i].match(
+            /^([\w-]+)\s*:\s*["']?([^"'#]*?)["']?\s*(?:#.*)?$/,
+        );
+        if (m && m[1].toLowerCase() === NOTE_OPT_OUT_KEY)
+            return NOTE_OPT_OUT_VALUES.has(m[2].trim().toLowerCase());
+    }
+    return false;
+}
+
+/**
+ * Flag the lines that are not note content as far as callouts go:
+ * frontmatter, fenced and indented code, and %% / <!-- --> comments.
+ * Fences are tracked per quote depth, so a fence inside a callout body ends
+ * with the blockquote even if it's never closed.
+ */
+function findIgnoredLines(lines) {
+    const ignored = new Array(lines.length).fill(false);
+    let i = 0;
+
+    const fm = frontmatterRange(lines);
+    if (fm) for (; i < fm.end; i++) ignored[i] = true;
+
+    let fence = null; // { char, size, depth }
+    let comment = null; // closing token while inside a comment
+    let indentedCode = false;
+    let inList = false;
+    let prevBlank = true;
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        const q = splitQuotePrefix(line);
+        const blank = q.rest.trim() === "";
+
+        if (fence && q.depth < fence.depth) fence = null;
+        if (fence) {
+            ignored[i] = true;
+            const close = q.rest.match(/^\s{0,3}(`{3,}|~{3,})\s*$/);
+            if (
+                close &&
+                close[1][0] === fence.char &&
+                close[1].length >= fence.size
+            )
+                fence = null;
+            continue;
+        }
+
+        if (comment) {
+            ignored[i] = true;
+            const at = line.indexOf(comment);
+            if (at >= 0)
+                comment = commentAfter(line.slice(at + comment.length));
+            continue;
+        }
+
+        // Indented code: 4+ columns after a blank line, outside list items.
+        const columns = q.indent.replace(/\t/g, "    ").length;
+        if (!blank) {
+            if (columns >= 4 && (indentedCode || (prevBlank && !inList))) {
+                indentedCode = true;
+                ignored[i] = true;
+                prevBlank = false;
+                continue;
+            }
+            indentedCode = false;
+            if (!q.depth && isListItemStart(q.rest)) inList = true;
+            else if (columns === 0) inList = false;
+        }
+        prevBlank = blank;
+
+        const open = q.rest.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (open) {
+            fence = { char: open[1][0], size: open[1].length, depth: q.depth };
+            ignored[i] = true;
+            continue;
+        }
+
+        comment = commentAfter(line);
+        if (comment && /^\s*(?:%%|<!--)/.test(q.rest)) ignored[i] = true;
+    }
+
+    return ignored;
+}
+
+/** Closing token of a comment left open at the end of `text`, if any. */
+function commentAfter(text) {
+    let open = null;
+    let at = 0;
+    while (at < text.length) {
+        if (open) {
+            const end = text.indexOf(open, at);
+            if (end < 0) return open;
+            at = end + open.length;
+            open = null;
+            continue;
+        }
+        const pct = text.indexOf("%%", at);
+        const html = text.indexOf("<!--", at);
+        if (pct < 0 && html < 0) return null;
+        if (html < 0 || (pct >= 0 && pct < html)) {
+            open = "%%";
+            at = pct + 2;
+        } else {
+            open = "-->";
+            at = html + 4;
+        }
+    }
+    return open;
+}
+
 /**
  * Extract tracked callouts from a note.
  * Optionally inserts missing block IDs (recommended for your workflow).
+ * Code, comments and frontmatter are skipped (see findIgnoredLines), and a
+ * note with `callout-exporter: ignore` in its frontmatter yields nothing.
  *
  * Returns:
  *  {
  *    text: (possibly patched),
  *    callouts: [
- *      { type, blockId, bodyLines, startLine, quoteEndLine, idLine }
+ *      { type, calloutType, blockId, bodyLines, startLine, quoteEndLine, idLine }
  *    ]
  *  }
+ * New IDs avoid every ID already in the note and any `isTaken(id)`.
+ * `insertIdFor(startLine, endLine)` (lines of the unpatched text) can return
+ * false to leave a callout without an ID for now.
+ * `aliases` maps other identifiers to a tracked type: such callouts get that
+ * `type`, and `calloutType` keeps the identifier as written.
  */
 function extractTrackedCallouts(
     text,
     trackedTypes,
-    { autoInsertIds = true } = {},
+    {
+        autoInsertIds = true,
+        isTaken = null,
+        aliases = null,
+        insertIdFor = null,
+    } = {},
 ) {
     trackedTypes = new Set(uniqLower(trackedTypes));
     const lines = text.split(/\r?\n/);
     const callouts = [];
+    let usedIds = null;
+    let added = 0; // lines inserted so far
+    if (noteOptedOut(lines)) return { text, callouts };
+    const ignored = findIgnoredLines(lines);
 
     for (let i = 0; i < lines.length; i++) {
-        const type = parseCalloutStart(lines[i]);
+        if (ignored[i]) continue;
+        const start = parseCalloutStart(lines[i]);
+        if (!start) continue;
+        const type = trackedTypes.has(start.type)
+            ? start.type
+            : aliases?.get(start.type);
         if (!type || !trackedTypes.has(type)) continue;
 
+        const { fold, title, depth, prefix } = start;
         const startLine = i;
 
+        // Lines still inside the enclosing quote/list item (depth - 1 levels).
+        const outer = depth - 1;
+        const minIndent = splitQuotePrefix(lines[i]).indent.length;
+        const inParent = (line) => {
+            const q = splitQuotePrefix(line);
+            return q.depth >= outer && q.indent.length >= minIndent;
+        };
+        const isBlank = (line) =>
+            String(line).trim() === "" ||
+            (outer > 0 &&
+                inParent(line) &&
+                stripQuoteMarkers(line, outer).trim() === "");
+
         // Consume blockquote lines that belong to the callout.
         let j = i + 1;
         const body = [];
-        while (
-            j < lines.length &&
-            String(lines[j]).trimStart().startsWith(">")
-        ) {
-            body.push(unquoteLine(lines[j]));
+        while (j < lines.length) {
+            const q = splitQuotePrefix(lines[j]);
+            if (q.depth < depth || q.indent.length < minIndent) break;
+            body.push(unquoteLine(lines[j], depth));
             j++;
         }
         const quoteEndLine = j; // first line after the blockquote
 
         // Look for block id after the callout, allowing blank lines.
+        // Nested callouts keep theirs inside the parent: "> ^id".
         let k = quoteEndLine;
-        while (k < lines.length && String(lines[k]).trim() === "") k++;
-        let blockId = k < lines.length ? parseBlockId(lines[k]) : null;
+        while (k < lines.length && isBlank(lines[k])) k++;
+        let blockId =
+            k < lines.length && !ignored[k] && inParent(lines[k])
+                ? parseBlockId(stripQuoteMarkers(lines[k], outer))
+                : null;
         let idLine = blockId ? k : null;
 
-        // If missing, insert:
+        // If missing, insert (at the callout's nesting level):
         // (blank line)
         // ^id
         // (blank line)
-        if (!blockId && autoInsertIds) {
-            blockId = generateId();
+        if (
+            !blockId &&
+            autoInsertIds &&
+            insertIdFor?.(startLine - added, quoteEndLine - 1 - added) !== false
+        ) {
+            // Unique within the note and, via `isTaken`, the vault.
+            usedIds ??= collectBlockIds(text);
+            blockId = generateUniqueId(
+                (id) => usedIds.has(id) || !!isTaken?.(id),
+            );
+            usedIds.add(blockId);
+            const blank = prefix.trimEnd();
 
             let insertAt = quoteEndLine;
 
-            // Ensure blank line before ^id
-            if (
-                insertAt >= lines.length ||
-                String(lines[insertAt]).trim() !== ""
-            ) {
-                lines.splice(insertAt, 0, "");
-                insertAt++;
+            // Keep `ignored` aligned with `lines` as lines go in.
+            const insertLine = (at, line) => {
+                lines.splice(at, 0, line);
+                ignored.splice(at, 0, false);
+                added++;
+            };
+
+            // Ensure blank line before ^id (reuse an existing one), or the
+            // id would lazily continue the blockquote.
+            if (insertAt >= lines.length || !isBlank(lines[insertAt])) {
+                insertLine(insertAt, blank);
             }
+            insertAt++;
 
-            lines.splice(insertAt, 0, `^${blockId}`);
+            insertLine(insertAt, `${prefix}^${blockId}`);
             idLine = insertAt;
             insertAt++;
 
             // Ensure blank line after ^id
-            if (
-                insertAt >= lines.length ||
-                String(lines[insertAt]).trim() !== ""
-            ) {
-                lines.splice(insertAt, 0, "");
+            if (insertAt >= lines.length || !isBlank(lines[insertAt])) {
+                insertLine(insertAt, blank);
             }
 
             // Adjust loop index to avoid re-processing inserted lines
@@ -176,17 +1137,107 @@ function extractTrackedCallouts(
 
         callouts.push({
             type,
+            calloutType: start.type,
             blockId,
             bodyLines: trimTrailingBlankLines(body),
             startLine,
             quoteEndLine,
             idLine,
+            depth,
+            prefix,
+            fold,
+            title,
         });
     }
 
     return { text: lines.join("\n"), callouts };
 }
 
+/**
+ * Line range [start, end) of a callout and its ^id line, located by id.
+ * Works for any callout type, tracked or not.
+ */
+function findCalloutBlockRange(lines, blockId) {
+    const idLine = lines.findIndex(
+        (l) => parseBlockId(splitQuotePrefix(l).rest) === blockId,
+    );
+    if (idLine < 0) return null;
+    const outer = splitQuotePrefix(lines[idLine]).depth;
+
+    let k = idLine - 1;
+    while (k >= 0 && splitQuotePrefix(lines[k]).rest.trim() === "") k--;
+    const quoteEnd = k;
+    while (k >= 0 && splitQuotePrefix(lines[k]).depth > outer) k--;
+    if (k === quoteEnd || !parseCalloutStart(lines[k + 1])) return null;
+    return { start: k + 1, end: idLine + 1 };
+}
+
+/**
+ * The callout of any type (innermost, if nested) whose lines, ^id included,
+ * hold `line`. Same shape as extractTrackedCallouts' callouts, or null.
+ */
+function findCalloutAt(text, line) {
+    const lines = text.split(/\r?\n/);
+    for (let i = Math.min(line, lines.length - 1); i >= 0; i--) {
+        const start = parseCalloutStart(lines[i]);
+        if (!start) continue;
+        const callout = extractTrackedCallouts(text, [start.type], {
+            autoInsertIds: false,
+        }).callouts.find((c) => c.startLine === i);
+        if (callout && line <= (callout.idLine ?? callout.quoteEndLine - 1))
+            return callout;
+    }
+    return null;
+}
+
+/**
+ * Apply a delete policy to one extracted callout, in place on `lines`.
+ * Returns true if anything changed.
+ */
+function applyDeletePolicy(lines, callout, policy) {
+    const end = (callout.idLine ?? callout.quoteEndLine - 1) + 1;
+
+    if (policy === "remove") {
+        let removeEnd = end;
+        // Drop one separating blank line so removals don't pile up gaps.
+        if (
+            String(lines[removeEnd] ?? "").trim() === "" &&
+            (callout.startLine === 0 ||
+                String(lines[callout.startLine - 1]).trim() === "")
+        )
+            removeEnd++;
+        lines.splice(callout.startLine, removeEnd - callout.startLine);
+        return true;
+    }
+
+    if (policy === "complete") {
+        let changed = false;
+        for (let i = callout.startLine + 1; i < callout.quoteEndLine; i++) {
+            const next = lines[i].replace(
+                /^((?:[ \t]*>)+[ \t]*(?:[-*+]|\d+[.)])\s+)\[ \]/,
+                "$1[x]",
+            );
+            if (next !== lines[i]) {
+                lines[i] = next;
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    if (policy === "archive") {
+        const next = lines[callout.startLine].replace(
+            /\[![^\]\s]+\]/,
+            `[!${ARCHIVED_CALLOUT_TYPE}]`,
+        );
+        if (next === lines[callout.startLine]) return false;
+        lines[callout.startLine] = next;
+        return true;
+    }
+
+    return false;
+}
+
 /**
  * Master entry parsing.
  * We treat each export chunk as:
@@ -243,11 +1294,480 @@ function parseMasterLinkLine(line) {
     return null;
 }
 
-function parseMasterChunks(text) {
+function renderTemplate(template, vars) {
+    return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) =>
+        Object.prototype.hasOwnProperty.call(vars, key)
+            ? String(vars[key] ?? "")
+            : m,
+    );
+}
+
+/**
+ * Split an entry template into the decoration around the body:
+ *  { before: [lines between link and body], after: [lines after body] }
+ * Invalid templates fall back to the default layout (see entryTemplateError).
+ */
+function compileEntryTemplate(template) {
+    if (entryTemplateError(template))
+        return compileEntryTemplate(DEFAULT_ENTRY_TEMPLATE);
+    const lines = String(template || "").split(/\r?\n/);
+    const bodyIdx = lines.findIndex((l) => l.trim() === "{{body}}");
+    return {
+        before: lines.slice(1, bodyIdx),
+        after: trimTrailingBlankLines(lines.slice(bodyIdx + 1)),
+    };
+}
+
+// Why an entry template can't be used, or null.
+function entryTemplateError(template) {
+    const lines = String(template || "").split(/\r?\n/);
+    if (lines[0]?.trim() !== "{{link}}")
+        return "The first line must be {{link}}. Using the default template.";
+    if (lines.findIndex((l) => l.trim() === "{{body}}") < 1)
+        return "{{body}} needs a line of its own. Using the default template.";
+    return null;
+}
+
+function masterLayoutForType(settings, type) {
+    const ts = typeSettings(settings, type);
+    return {
+        type,
+        linkStyle: ts.linkStyle === "wikilink" ? "wikilink" : "markdown",
+        displayTemplate: ts.displayTemplate || "{{display}}",
+        headerTemplate: ts.headerTemplate || "",
+        entry: compileEntryTemplate(ts.entryTemplate),
+        groupBy: GROUP_BY_OPTIONS[ts.groupBy] ? ts.groupBy : "none",
+        sortBy: SORT_BY_OPTIONS[ts.sortBy] ? ts.sortBy : "path",
+        sortDescending: !!ts.sortDescending,
+        inboxHeading: String(ts.inboxHeading || "").trim(),
+        titleMode: TITLE_MODE_OPTIONS[ts.titleMode] ? ts.titleMode : "none",
+        taskAware: !!ts.taskAware,
+        completedMode:
+            ts.taskAware && COMPLETED_MODE_OPTIONS[ts.completedMode]
+                ? ts.completedMode
+                : "none",
+    };
+}
+
+/**
+ * Checkbox items in a callout body with their Tasks-plugin metadata
+ * (📅 due, priority emoji, #tags), plus rollups for sorting and placement.
+ */
+function parseTaskInfo(bodyLines) {
+    const tasks = [];
+    bodyLines.forEach((line, index) => {
+        const m = String(line).match(TASK_LINE_RE);
+        if (!m) return;
+        const text = m[3].trim();
+        const due = text.match(/📅\s*(\d{4}-\d{2}-\d{2})/u)?.[1] ?? null;
+        let priority = NO_PRIORITY_RANK;
+        PRIORITY_MARKERS.forEach((marker, rank) => {
+            if (marker && text.includes(marker)) priority = rank;
+        });
+        const tags = Array.from(
+            text.matchAll(/(?:^|\s)(#[^\s#]+)/gu),
+            (t) => t[1],
+        );
+        tasks.push({
+            index,
+            checked: m[2] !== " ",
+            text,
+            due,
+            priority,
+            tags,
+        });
+    });
+
+    const open = tasks.filter((t) => !t.checked);
+    const dues = open
+        .map((t) => t.due)
+        .filter(Boolean)
+        .sort();
+    return {
+        tasks,
+        allDone: tasks.length > 0 && open.length === 0,
+        due: dues[0] ?? null,
+        priority: open.length
+            ? Math.min(...open.map((t) => t.priority))
+            : NO_PRIORITY_RANK,
+    };
+}
+
+/**
+ * Body with checkbox states blanked, so edits that only toggle boxes can be
+ * told apart from text edits.
+ */
+function normalizeCheckboxes(bodyLines) {
+    return bodyLines.map((l) => String(l).replace(TASK_LINE_RE, "$1[ ]$3"));
+}
+
+/** The checkbox characters of a body's task items, in order, as a string. */
+function taskStates(bodyLines) {
+    return bodyLines
+        .map((l) => String(l).match(TASK_LINE_RE)?.[2])
+        .filter((state) => state != null)
+        .join("");
+}
+
+/**
+ * Apply the toggles in `masterLines` (items whose state differs from
+ * `baseStates`, the baseline's taskStates) to the same items in
+ * `sourceLines`. Items are matched by position: the two bodies are aligned
+ * line by line with checkbox states blanked. Returns the patched source
+ * lines, or null when a toggled item has no counterpart in the source
+ * (reworded or removed there) or was toggled differently there.
+ */
+function mergeCheckboxStates(sourceLines, masterLines, baseStates) {
+    if (baseStates == null) return null;
+    if (taskStates(masterLines).length !== baseStates.length) return null;
+
+    // Master line → source line, for lines both sides still share.
+    const toSource = new Map();
+    let i = 0;
+    let j = 0;
+    for (const d of diffAllLines(
+        normalizeCheckboxes(masterLines).join("\n"),
+        normalizeCheckboxes(sourceLines).join("\n"),
+    )) {
+        if (d.op === " ") toSource.set(i++, j++);
+        else if (d.op === "-") i++;
+        else j++;
+    }
+
+    const out = sourceLines.slice();
+    let task = 0;
+    for (let k = 0; k < masterLines.length; k++) {
+        const m = String(masterLines[k]).match(TASK_LINE_RE);
+        if (!m) continue;
+        const base = baseStates[task++];
+        if (m[2] === base) continue;
+        const at = toSource.get(k);
+        const src = at == null ? null : String(out[at]).match(TASK_LINE_RE);
+        if (!src || (src[2] !== base && src[2] !== m[2])) return null;
+        out[at] = `${src[1]}[${m[2]}]${src[3]}`;
+    }
+    return out;
+}
+
+function parseDueDate(bodyLines) {
+    for (const l of bodyLines) {
+        const m = String(l).match(DUE_DATE_RE);
+        if (m) return m[1];
+    }
+    return null;
+}
+
+/** Checkbox state of a body: "open", "partial", "done", or null without tasks. */
+function checkboxState(tasks) {
+    if (!tasks.length) return null;
+    const done = tasks.filter((t) => t.checked).length;
+    if (!done) return "open";
+    return done === tasks.length ? "done" : "partial";
+}
+
+function csvField(value) {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function icsEscape(text) {
+    return String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 content lines are folded at 75 octets of UTF-8, between
+// characters (emoji like 📅 are never split).
+function icsFold(line) {
+    const parts = [];
+    let part = "";
+    let octets = 0;
+    for (const ch of line) {
+        const cp = ch.codePointAt(0);
+        const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+        // Continuation lines start with a space.
+        if (octets + size > (parts.length ? 74 : 75)) {
+            parts.push(part);
+            part = "";
+            octets = 0;
+        }
+        part += ch;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join("\r\n ");
+}
+
+function icsTimestamp(time) {
+    return new Date(time)
+        .toISOString()
+        .replace(/[-:]/g, "")
+        .replace(/\.\d{3}/, "");
+}
+
+/**
+ * One VTODO per checkbox item with a due date, in a VCALENDAR. UIDs derive
+ * from the callout's block ID and the item's position, so calendar apps update
+ * items in place across exports.
+ */
+function buildIcs(records) {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//callout-exporter//EN",
+    ];
+    for (const r of records) {
+        for (const [i, t] of r.tasks.entries()) {
+            const { due } = t;
+            if (!due) continue;
+            const summary = t.text.replace(DUE_DATE_RE, "").trim();
+            lines.push(
+                "BEGIN:VTODO",
+                `UID:${r.blockId}-${i}@callout-exporter`,
+                `DTSTAMP:${icsTimestamp(r.mtime ?? 0)}`,
+                `SUMMARY:${icsEscape(summary || r.title || r.blockId)}`,
+                `DUE;VALUE=DATE:${due.replace(/-/g, "")}`,
+                `STATUS:${t.checked ? "COMPLETED" : "NEEDS-ACTION"}`,
+                `DESCRIPTION:${icsEscape(`${r.path}#^${r.blockId}`)}`,
+                "END:VTODO",
+            );
+        }
+    }
+    lines.push("END:VCALENDAR");
+    return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+function buildExport(format, records) {
+    switch (format) {
+        case "json":
+            return (
+                JSON.stringify(
+                    records.map(({ mtime, ...r }) => r),
+                    null,
+                    2,
+                ) + "\n"
+            );
+        case "csv":
+            return (
+                [
+                    CSV_COLUMNS.join(","),
+                    ...records.map((r) =>
+                        CSV_COLUMNS.map((c) => csvField(r[c])).join(","),
+                    ),
+                ].join("\r\n") + "\r\n"
+            );
+        case "ics":
+            return buildIcs(records);
+    }
+    throw new Error(`Unknown export format: ${format}`);
+}
+
+/**
+ * Generated group headings carry a comment marker so that a `## ` line
+ * inside a callout body is never mistaken for structure.
+ */
+function parseGroupHeading(line) {
+    const m = String(line || "").match(GROUP_HEADING_RE);
+    return m ? m[1] : null;
+}
+
+function buildGroupHeading(name) {
+    return `## ${name} ${GROUP_HEADING_MARKER}`;
+}
+
+function isInboxHeading(line, layout) {
+    return (
+        !!layout?.inboxHeading &&
+        String(line || "").trim() === `## ${layout.inboxHeading}`
+    );
+}
+
+/**
+ * A line holding nothing but a link to a note (no block ref):
+ * [[Projects/Alpha]], [[Projects/Alpha|Alpha]] or [Alpha](Projects/Alpha.md).
+ * Returns the decoded link path.
+ */
+function parseNoteLinkLine(line) {
+    line = String(line || "").trim();
+    const w = line.match(/^\[\[([^|\]#^]+)(?:\|[^\]]*)?\]\]$/);
+    const m = w ? null : line.match(/^\[[^\]]*\]\(([^)#^]+)\)$/);
+    const raw = w?.[1] ?? m?.[1];
+    if (!raw) return null;
+    try {
+        return decodeURI(raw.trim());
+    } catch (_) {
+        return raw.trim();
+    }
+}
+
+/**
+ * Lines of a new tracked callout followed by its block id. In todo bodies
+ * list items become tasks, and a body not starting with one gets a checkbox.
+ */
+function buildCalloutLines(type, bodyLines, blockId) {
+    let body = bodyLines.slice();
+    if (type === "todo") {
+        body = body.map(toTaskLine);
+        if (body.length && !isListItemStart(body[0]))
+            body[0] = `- [ ] ${body[0]}`;
+    }
+    return [`> [!${type}]`, ...quoteBodyLines(body), "", `^${blockId}`];
+}
+
+function isListItemStart(line) {
+    return /^(?:[-*+]|\d+[.)])\s/.test(String(line));
+}
+
+// A list item as an open task ("- item" → "- [ ] item"); other lines as-is.
+function toTaskLine(line) {
+    line = String(line);
+    if (TASK_LINE_RE.test(line)) return line;
+    const item = line.match(/^(\s*(?:[-*+]|\d+[.)])\s+)(.*)$/);
+    return item ? `${item[1]}[ ] ${item[2]}` : line;
+}
+
+/**
+ * Split the inbox section into new items. An item starts at a top-level
+ * list marker or after a blank line; indented/continuation lines belong to
+ * it. A note link line sets the target note for the items below it.
+ * Returns [{ start, end, linkpath, linkLine, bodyLines }] with line
+ * indexes relative to `lines`.
+ */
+function parseInboxItems(lines) {
+    const items = [];
+    let linkpath = null;
+    let linkLine = null;
+    let cur = null;
+
+    const close = (end) => {
+        if (!cur) return;
+        cur.end = end;
+        cur.bodyLines = trimTrailingBlankLines(lines.slice(cur.start, end));
+        items.push(cur);
+        cur = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = String(lines[i]);
+        if (line.trim() === "") {
+            close(i);
+            continue;
+        }
+
+        const target = parseNoteLinkLine(line);
+        if (target) {
+            close(i);
+            linkpath = target;
+            linkLine = line;
+            continue;
+        }
+
+        const continues = cur && (/^\s/.test(line) || !isListItemStart(line));
+        if (!continues) {
+            close(i);
+            cur = { start: i, linkpath, linkLine };
+        }
+    }
+    close(lines.length);
+    return items;
+}
+
+/**
+ * Header region of a master: frontmatter plus anything before the first
+ * chunk, or everything up to and including HEADER_END_MARKER if present.
+ * Returns the index of the first line after the header.
+ */
+function findMasterHeaderEnd(lines, layout = null) {
+    const marker = lines.findIndex((l) => l.trim() === HEADER_END_MARKER);
+    if (marker >= 0) return marker + 1;
+
+    let i = 0;
+    if (lines[0]?.trim() === "---") {
+        const close = lines.findIndex(
+            (l, idx) => idx > 0 && (l.trim() === "---" || l.trim() === "..."),
+        );
+        if (close > 0) i = close + 1;
+    }
+    while (
+        i < lines.length &&
+        !parseMasterLinkLine(lines[i]) &&
+        parseGroupHeading(lines[i]) == null &&
+        !isInboxHeading(lines[i], layout)
+    )
+        i++;
+    return i;
+}
+
+/**
+ * One decoration line of an entry template as a RegExp. Placeholders in
+ * `vars` (known from the link line) must match exactly; others, like
+ * {{mtime}}, match anything.
+ */
+function decorationLineRe(template, vars) {
+    const escape = (t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    let re = "";
+    let last = 0;
+    for (const m of template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+        re += escape(template.slice(last, m.index));
+        re += Object.prototype.hasOwnProperty.call(vars, m[1])
+            ? escape(String(vars[m[1]]))
+            : ".*";
+        last = m.index + m[0].length;
+    }
+    return new RegExp(`^${re}${escape(template.slice(last))}$`);
+}
+
+/**
+ * Drop the entry template's decoration around a chunk body. Only lines that
+ * match their decoration line are dropped; a decoration line the user
+ * deleted is skipped, and anything else stays body.
+ */
+function stripDecoration(bodyLines, entry, vars = {}) {
+    if (!entry) return bodyLines;
+    const matches = (line, template) =>
+        decorationLineRe(template.trim(), vars).test(String(line).trim());
+
+    let start = 0;
+    for (const template of entry.before) {
+        if (start < bodyLines.length && matches(bodyLines[start], template))
+            start++;
+    }
+    let end = bodyLines.length;
+    for (const template of entry.after.slice().reverse()) {
+        if (end > start && matches(bodyLines[end - 1], template)) end--;
+    }
+    return trimTrailingBlankLines(bodyLines.slice(start, end));
+}
+
+function parseMasterChunks(text, layout = null) {
     const lines = text.split(/\r?\n/);
     const chunks = [];
+    const headerEnd = findMasterHeaderEnd(lines, layout);
+    let group = null;
+    let inbox = null;
+
+    for (let i = headerEnd; i < lines.length; i++) {
+        if (isInboxHeading(lines[i], layout)) {
+            let j = i + 1;
+            while (
+                j < lines.length &&
+                !parseMasterLinkLine(lines[j]) &&
+                parseGroupHeading(lines[j]) == null
+            )
+                j++;
+            inbox = { start: i, end: j, lines: lines.slice(i + 1, j) };
+            i = j - 1;
+            continue;
+        }
+
+        const heading = parseGroupHeading(lines[i]);
+        if (heading != null) {
+            group = heading;
+            continue;
+        }
 
-    for (let i = 0; i < lines.length; i++) {
         const head = parseMasterLinkLine(lines[i]);
         if (!head) continue;
 
@@ -255,11 +1775,21 @@ function parseMasterChunks(text) {
         let j = i + 1;
         while (j < lines.length) {
             if (parseMasterLinkLine(lines[j])) break;
+            if (parseGroupHeading(lines[j]) != null) break;
+            if (isInboxHeading(lines[j], layout)) break;
             j++;
         }
 
         const rawBody = lines.slice(i + 1, j);
-        const bodyLines = trimTrailingBlankLines(rawBody);
+        const bodyLines = stripDecoration(
+            trimTrailingBlankLines(rawBody),
+            layout?.entry,
+            {
+                path: head.path,
+                folder: parentFolderPath(head.path) || "/",
+                blockId: head.blockId,
+            },
+        );
 
         chunks.push({
             start,
@@ -268,36 +1798,314 @@ function parseMasterChunks(text) {
             sourcePath: head.path,
             blockId: head.blockId,
             bodyLines,
+            group,
         });
 
         i = j - 1;
     }
 
-    return { lines, chunks };
+    return { lines, chunks, headerEnd, inbox };
 }
 
-function buildMasterChunkLines({ display, sourcePath, blockId, bodyLines }) {
-    // Encode only the path portion for markdown link safety.
-    const encodedPath = encodeURI(sourcePath);
-    const linkLine = `[${display}](${encodedPath}#^${blockId})`;
+function compareSortValues(a, b) {
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+/**
+ * Lay out master entries below the header: grouped under generated `## `
+ * headings (alphabetical, catch-all group last) and sorted within each
+ * group. Entries: { sourcePath, blockId, chunkLines, group, sortValue }.
+ * Entries without a sort value (e.g. no due date) always go last.
+ */
+function layoutMasterLines(headerLines, entries, layout, inboxLines = []) {
+    const dir = layout?.sortDescending ? -1 : 1;
+    let sorted = entries.slice().sort((a, b) => {
+        const av = a.sortValue;
+        const bv = b.sortValue;
+        if (av == null && bv != null) return 1;
+        if (bv == null && av != null) return -1;
+        if (av != null && bv != null) {
+            const c = compareSortValues(av, bv) * dir;
+            if (c) return c;
+        }
+        return (a.sourcePath + a.blockId).localeCompare(
+            b.sourcePath + b.blockId,
+        );
+    });
+
+    const header = trimTrailingBlankLines(headerLines);
+    const out = header.length ? [...header, ""] : [];
+
+    // Fully checked callouts collect in a trailing (foldable) section.
+    const completed =
+        layout?.completedMode === "section"
+            ? sorted.filter((e) => e.completed)
+            : [];
+    if (completed.length) sorted = sorted.filter((e) => !e.completed);
+    const pushCompleted = () => {
+        if (!completed.length) return;
+        out.push(buildGroupHeading(COMPLETED_HEADING), "");
+        for (const e of completed) out.push(...e.chunkLines);
+    };
+
+    // The inbox always sits right below the header, ready for new items.
+    if (layout?.inboxHeading) {
+        const pending = trimTrailingBlankLines(inboxLines);
+        while (pending.length && String(pending[0]).trim() === "")
+            pending.shift();
+        out.push(`## ${layout.inboxHeading}`, "");
+        if (pending.length) out.push(...pending, "");
+    }
+
+    if (!layout || layout.groupBy === "none") {
+        for (const e of sorted) out.push(...e.chunkLines);
+        pushCompleted();
+        return out;
+    }
+
+    const groups = new Map();
+    for (const e of sorted) {
+        const key = e.group || "";
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+    }
+
+    const names = Array.from(groups.keys()).sort((a, b) => {
+        if (!a) return 1;
+        if (!b) return -1;
+        return a.localeCompare(b);
+    });
+
+    for (const name of names) {
+        out.push(
+            buildGroupHeading(name || ungroupedHeading(layout.groupBy)),
+            "",
+        );
+        for (const e of groups.get(name)) out.push(...e.chunkLines);
+    }
+    pushCompleted();
+    return out;
+}
+
+function ungroupedHeading(groupBy) {
+    return groupBy === "tag" ? "Untagged" : "Other";
+}
+
+/**
+ * Link text in "link" title mode: the callout title, or the note name for
+ * untitled callouts, so an edited link text can be read back as a title.
+ */
+function linkTitleText(title, display) {
+    return sanitizeLinkText(title) || sanitizeLinkText(display);
+}
+
+/**
+ * Does the master body start with a type tag? Always in combined masters and
+ * for aliased callouts, so edits go back under the right header.
+ */
+function isTypeTagged(callout, layout) {
+    return (
+        !!layout?.combined ||
+        (callout.calloutType != null && callout.calloutType !== callout.type)
+    );
+}
+
+/**
+ * Body lines as exported to the master. In "line" title mode, titled or
+ * folded callouts get a header mirror as their first line; other
+ * type-tagged callouts (see isTypeTagged) a bare "[!type]" tag.
+ */
+function exportedBodyLines(callout, layout) {
+    const type = callout.calloutType ?? callout.type;
+    if (layout?.titleMode === "line" && (callout.title || callout.fold))
+        return [buildHeaderMirror({ ...callout, type }), ...callout.bodyLines];
+    if (isTypeTagged(callout, layout))
+        return [buildHeaderMirror({ type }), ...callout.bodyLines];
+    return callout.bodyLines;
+}
+
+function renderMasterHeader(layout) {
+    if (!layout?.headerTemplate) return [];
+    const rendered = renderTemplate(layout.headerTemplate, {
+        type: layout.type,
+    });
+    return [...trimTrailingBlankLines(rendered.split(/\r?\n/)), ""];
+}
+
+function buildMasterChunkLines(
+    { display, sourcePath, blockId, bodyLines, mtime, title = "", type = null },
+    layout = null,
+) {
+    const folder = parentFolderPath(sourcePath);
+    const vars = {
+        display,
+        path: sourcePath,
+        folder: folder || "/",
+        blockId,
+        mtime: mtime ? moment(mtime).format("YYYY-MM-DD HH:mm") : "",
+        type: type ?? layout?.type ?? "",
+        title,
+    };
+
+    // Brackets/pipes in the link text would break the link line itself.
+    const text =
+        layout?.titleMode === "link"
+            ? linkTitleText(title, display)
+            : sanitizeLinkText(
+                  renderTemplate(
+                      layout?.displayTemplate || "{{display}}",
+                      vars,
+                  ),
+              );
+
+    let linkLine;
+    if (layout?.linkStyle === "wikilink") {
+        linkLine = `[[${sourcePath}#^${blockId}|${text || display}]]`;
+    } else {
+        // Encode only the path portion for markdown link safety.
+        const encodedPath = encodeURI(sourcePath);
+        linkLine = `[${text || display}](${encodedPath}#^${blockId})`;
+    }
+
+    const entry = layout?.entry ?? { before: [], after: [] };
+    const deco = (lines) => lines.map((l) => renderTemplate(l, vars));
+
     // Blank line after each chunk for readability + robust chunk boundaries.
-    return [linkLine, ...bodyLines, ""];
+    return [
+        linkLine,
+        ...deco(entry.before),
+        ...bodyLines,
+        ...deco(entry.after),
+        "",
+    ];
 }
 
-module.exports = class CalloutMasterExportPlugin extends Plugin {
+class CalloutMasterExportPlugin extends Plugin {
     async onload() {
-        this.trackedTypes = uniqLower(CALLOUT_TYPES);
-        this.masterPathsByType = new Map(
-            this.trackedTypes.map((t) => [t, masterPathForType(t)]),
+        // First, so that failures while loading reach the sync log.
+        this.syncLog = [];
+        this.lastError = null;
+        this._settingWarnings = new Set();
+        this.requestRenderLog = debounce(
+            () => this.renderLogViews(),
+            SYNC_LOG_RENDER_DEBOUNCE_MS,
+            false,
+        );
+
+        await this.loadSettings();
+        await this.loadState();
+        await this.loadIndex();
+        await this.loadBackupIndex();
+
+        // Notes waiting for the next sync batch (see scheduleSync), and
+        // those of them only edited in an open editor.
+        this._dirtyPaths = new Set();
+        this._liveDirtyPaths = new Set();
+        this._runningSyncs = 0;
+        // Write queue: operations run one at a time (serialize), their writes
+        // are held and coalesced per file until the operation ends, and our
+        // own writes are recognized by content when their modify event
+        // arrives (path → hashes of texts written).
+        this._queue = Promise.resolve();
+        this._holdWrites = false;
+        this._pendingWrites = new Map();
+        this._expectedWrites = new Map();
+        // snapshotKey → baseline before the running queued operation.
+        this._snapshotUndo = null;
+        // Master deletions waiting for confirmation: { type, removedKeys }.
+        this._pendingRemovals = [];
+        // Open notes: path → CodeMirror view. Their buffer is what is read,
+        // synced and written (see calloutEditorExtension).
+        this.editorViews = new Map();
+        this.requestDrainSyncs = debounce(
+            () => this.drainSyncs(),
+            SYNC_DEBOUNCE_MS,
+            true,
         );
+        this.requestRenderCards = debounce(
+            () => this.renderViews(VIEW_TYPE_CALLOUT_CARDS),
+            SYNC_LOG_RENDER_DEBOUNCE_MS,
+            false,
+        );
+        this._insertCommandIds = new Set();
+        // master path → snapshotKey → chunk start line (see recordMasterEntries)
+        this.masterLines = new Map();
 
-        this._debounceTimers = new Map();
-        this._suppressedPaths = new Set();
+        this.requestApplySettings = debounce(
+            () =>
+                this.applySettings().catch((e) =>
+                    this.reportError("Applying settings", e),
+                ),
+            SETTINGS_APPLY_DEBOUNCE_MS,
+            true,
+        );
+        this.requestSaveState = debounce(
+            () =>
+                this.saveState().catch((e) =>
+                    this.reportError("Saving sync state", e),
+                ),
+            STATE_SAVE_DEBOUNCE_MS,
+            true,
+        );
+        this.requestSaveIndex = debounce(
+            () =>
+                this.saveIndex().catch((e) =>
+                    this.reportError("Saving the index", e),
+                ),
+            STATE_SAVE_DEBOUNCE_MS,
+            true,
+        );
+        this.requestSaveBackupIndex = debounce(
+            () =>
+                this.saveBackupIndex().catch((e) =>
+                    this.reportError("Saving the backup list", e),
+                ),
+            STATE_SAVE_DEBOUNCE_MS,
+            true,
+        );
+        this.requestAutoExport = debounce(
+            () =>
+                this.serialize(() => this.autoExport()).catch((e) =>
+                    this.reportError("Exporting", e),
+                ),
+            AUTO_EXPORT_DEBOUNCE_MS,
+            true,
+        );
 
+        this.refreshTrackedTypes();
         await this.ensureMasterFilesExist();
         this.registerInsertCommands();
         this.registerSyncCommands();
+        this.registerNavigationCommands();
         this.registerVaultListeners();
+        this.addSettingTab(new CalloutExporterSettingTab(this.app, this));
+
+        this.registerView(
+            VIEW_TYPE_SYNC_LOG,
+            (leaf) => new SyncLogView(leaf, this),
+        );
+        this.registerView(
+            VIEW_TYPE_CALLOUT_CARDS,
+            (leaf) => new CalloutCardsView(leaf, this),
+        );
+        this.registerEditorExtension(calloutEditorExtension(this));
+        this.statusBarEl = this.addStatusBarItem();
+        this.statusBarEl.addClass("mod-clickable");
+        this.registerDomEvent(this.statusBarEl, "click", () =>
+            this.openSyncLog().catch((e) =>
+                this.reportError("Opening the sync log", e),
+            ),
+        );
+        this.updateStatusBar();
+        this.app.workspace.onLayoutReady(() => {
+            this._indexing = this.buildIndex().catch((e) =>
+                this.reportError("Indexing", e),
+            );
+            this._indexing
+                .then(() => this.reportMasterProblems())
+                .catch((e) => this.reportError("Checking masters", e));
+        });
 
         new Notice(
             `Callout Master Export: tracking [${this.trackedTypes.join(", ")}]`,
@@ -305,453 +2113,5068 @@ module.exports = class CalloutMasterExportPlugin extends Plugin {
     }
 
     onunload() {
-        for (const t of this._debounceTimers.values()) window.clearTimeout(t);
-        this._debounceTimers.clear();
-        this._suppressedPaths.clear();
+        this._dirtyPaths.clear();
+        this.saveState().catch((e) => this.reportError("Saving sync state", e));
+        this.saveIndex().catch((e) => this.reportError("Saving the index", e));
+        this.saveBackupIndex().catch((e) =>
+            this.reportError("Saving the backup list", e),
+        );
     }
 
-    async ensureMasterFilesExist() {
-        const adapter = this.app.vault.adapter;
+    /**
+     * Sync log: one timestamped line per event, shown in the sync log view.
+     * level is "info" | "warn" | "error".
+     */
+    log(level, message, path = null) {
+        this.syncLog.push({ time: Date.now(), level, message, path });
+        if (this.syncLog.length > SYNC_LOG_MAX_ENTRIES)
+            this.syncLog.splice(0, this.syncLog.length - SYNC_LOG_MAX_ENTRIES);
+        this.requestRenderLog();
+    }
 
-        // Create master folder if configured
-        if (MASTER_FOLDER) {
-            const folderPath = normalizePath(MASTER_FOLDER);
-            const st = await adapter.stat(folderPath);
+    // Invalid settings are logged once per distinct value, not on every
+    // refresh. `value` tells apart values the message doesn't quote.
+    warnSetting(message, value = "") {
+        const key = `${message}\n${value}`;
+        if (this._settingWarnings.has(key)) return;
+        this._settingWarnings.add(key);
+        this.log("warn", message);
+    }
 
-            if (!st) {
-                try {
-                    await this.app.vault.createFolder(folderPath);
-                } catch (e) {
-                    if (!isAlreadyExistsError(e)) throw e;
-                }
-            } else if (st.type !== "folder") {
-                new Notice(
-                    `Callout exporter: "${folderPath}" exists but is not a folder. Fix it or set MASTER_FOLDER="" in main.js.`,
-                );
-                return; // don't crash the plugin
-            }
-        }
+    // Where async failures end up: console, sync log and status bar.
+    reportError(context, e, path = null) {
+        console.error(`Callout exporter: ${context} failed`, e);
+        const message = `${context} failed: ${e?.message ?? e}`;
+        this.lastError = { time: Date.now(), message };
+        this.log("error", message, path);
+        this.updateStatusBar();
+    }
 
-        for (const [, mPath] of this.masterPathsByType.entries()) {
-            const st = await adapter.stat(mPath);
+    logInsertedIds(path, before, after) {
+        const had = collectBlockIds(before);
+        const added = [...collectBlockIds(after)].filter((id) => !had.has(id));
+        if (added.length)
+            this.log(
+                "info",
+                `Inserted block ID(s) ${added.map((id) => `^${id}`).join(", ")}`,
+                path,
+            );
+    }
 
-            if (st) {
-                if (st.type !== "file") {
-                    new Notice(
-                        `Callout exporter: "${mPath}" exists but is not a file. Rename/remove it so the plugin can use it.`,
-                    );
-                }
-                continue;
-            }
+    renderLogViews() {
+        this.renderViews(VIEW_TYPE_SYNC_LOG);
+    }
 
-            try {
-                await this.app.vault.create(mPath, "");
-            } catch (e) {
-                if (!isAlreadyExistsError(e)) throw e;
-            }
+    renderViews(viewType) {
+        for (const leaf of this.app.workspace.getLeavesOfType(viewType)) {
+            leaf.view?.render?.();
         }
     }
 
-    registerInsertCommands() {
-        for (const type of this.trackedTypes) {
-            const nice = type.charAt(0).toUpperCase() + type.slice(1);
-            this.addCommand({
-                id: `insert-${type}-callout`,
-                name: `Insert ${nice} callout`,
-                editorCallback: (editor, view) =>
-                    this.insertCallout(editor, type),
-            });
+    async openSyncLog() {
+        await this.openView(VIEW_TYPE_SYNC_LOG, () =>
+            this.app.workspace.getRightLeaf(false),
+        );
+    }
+
+    // Reveal the view's leaf, opening it in `newLeaf()` the first time.
+    async openView(viewType, newLeaf) {
+        const { workspace } = this.app;
+        let leaf = workspace.getLeavesOfType(viewType)[0];
+        if (!leaf) {
+            leaf = newLeaf();
+            await leaf.setViewState({ type: viewType, active: true });
         }
+        workspace.revealLeaf(leaf);
     }
 
-    registerSyncCommands() {
-        this.addCommand({
-            id: "sync-active-file-to-masters",
-            name: "Sync active note callouts to master files",
-            checkCallback: (checking) => {
-                const file = this.app.workspace.getActiveFile();
-                if (!file || !isMarkdownFile(file)) return false;
-                if (!checking) this.syncFromSource(file).catch(console.error);
-                return true;
-            },
-        });
+    updateStatusBar() {
+        const el = this.statusBarEl;
+        if (!el) return;
+        const pending = this._dirtyPaths.size + this._runningSyncs;
+        let text = "Callouts ✓";
+        if (pending) text = `Callouts: ${pending} pending`;
+        else if (this.lastError) text = "Callouts ⚠";
+        el.setText(text);
+        el.setAttr(
+            "aria-label",
+            this.lastError
+                ? `Last error (${moment(this.lastError.time).format("HH:mm:ss")}): ${this.lastError.message}`
+                : "Callout exporter: no errors. Click for the sync log.",
+        );
+    }
 
-        this.addCommand({
-            id: "rebuild-all-masters",
-            name: "Rebuild all master files from vault (tracked callouts)",
-            callback: () => this.rebuildAllMasters().catch(console.error),
-        });
+    async readPluginJson(name, fallback) {
+        const path = normalizePath(`${this.manifest.dir}/${name}`);
+        try {
+            const adapter = this.app.vault.adapter;
+            if (await adapter.exists(path))
+                return JSON.parse(await adapter.read(path));
+        } catch (e) {
+            this.reportError(`Reading ${name}`, e);
+        }
+        return fallback;
+    }
+
+    async writePluginJson(name, value) {
+        const path = normalizePath(`${this.manifest.dir}/${name}`);
+        await this.app.vault.adapter.write(path, JSON.stringify(value));
+    }
+
+    async loadState() {
+        const state = await this.readPluginJson(STATE_FILE, {});
+        // snapshots: snapshotKey → hash of the body as last synced both ways.
+        // masterEntries: master path → snapshotKeys it held after our last look.
+        this.syncState = { snapshots: {}, masterEntries: {}, ...state };
+    }
+
+    async saveState() {
+        if (!this.syncState) return;
+        await this.writePluginJson(STATE_FILE, this.syncState);
+    }
+
+    /**
+     * The index holds, per source note, the tracked callouts found when the
+     * note was last read, keyed to its mtime/size and the types scanned:
+     *   files: path → { mtime, size, types, missingIds, callouts: [...] }
+     * `blockIndex` is the in-memory view by block ID.
+     */
+    async loadIndex() {
+        const index = await this.readPluginJson(INDEX_FILE, {});
+        this.calloutIndex =
+            index.version === INDEX_VERSION
+                ? index
+                : { version: INDEX_VERSION, files: {} };
+        this.blockIndex = new Map();
+        for (const path of Object.keys(this.calloutIndex.files))
+            this.indexBlocks(path, true);
+    }
+
+    async saveIndex() {
+        if (!this.calloutIndex) return;
+        await this.writePluginJson(INDEX_FILE, this.calloutIndex);
+    }
+
+    // Add (or with add=false, drop) a note's callouts in blockIndex.
+    indexBlocks(path, add) {
+        for (const c of this.calloutIndex.files[path]?.callouts ?? []) {
+            const list = (this.blockIndex.get(c.blockId) ?? []).filter(
+                (e) => e.sourcePath !== path,
+            );
+            if (add)
+                list.push({
+                    sourcePath: path,
+                    blockId: c.blockId,
+                    type: c.type,
+                    hash: hashLines(c.bodyLines),
+                });
+            if (list.length) this.blockIndex.set(c.blockId, list);
+            else this.blockIndex.delete(c.blockId);
+        }
+    }
+
+    /**
+     * Where a block ID lives: its source callouts, each with the masters
+     * (and chunk line) showing it as of our last look at them.
+     */
+    lookupBlock(blockId) {
+        return (this.blockIndex.get(blockId) ?? []).map((e) => ({
+            ...e,
+            masters: this.masters
+                .map((m) => ({
+                    path: m.path,
+                    line: this.masterLines
+                        .get(m.path)
+                        ?.get(snapshotKey(e.sourcePath, blockId)),
+                }))
+                .filter((m) => m.line !== undefined),
+        }));
+    }
+
+    indexRecord(file, types) {
+        const rec = this.calloutIndex.files[file.path];
+        if (
+            !rec ||
+            rec.mtime !== file.stat?.mtime ||
+            rec.size !== file.stat?.size ||
+            rec.types !== types.join(",")
+        )
+            return null;
+        return rec;
+    }
+
+    setIndexRecord(file, types, callouts) {
+        this.indexBlocks(file.path, false);
+        this.calloutIndex.files[file.path] = {
+            mtime: file.stat?.mtime,
+            size: file.stat?.size,
+            types: types.join(","),
+            missingIds: callouts.some((c) => !c.blockId),
+            callouts: callouts
+                .filter((c) => c.blockId)
+                .map(
+                    ({
+                        type,
+                        calloutType,
+                        blockId,
+                        bodyLines,
+                        fold,
+                        title,
+                    }) => ({
+                        type,
+                        calloutType,
+                        blockId,
+                        bodyLines,
+                        fold,
+                        title,
+                    }),
+                ),
+        };
+        this.indexBlocks(file.path, true);
+        this.requestSaveIndex();
+        this.requestRenderCards();
+    }
+
+    moveIndexRecord(oldPath, newPath) {
+        const rec = this.calloutIndex.files[oldPath];
+        if (!rec) return;
+        this.indexBlocks(oldPath, false);
+        delete this.calloutIndex.files[oldPath];
+        if (newPath) {
+            this.calloutIndex.files[newPath] = rec;
+            this.indexBlocks(newPath, true);
+        }
+        this.requestSaveIndex();
+    }
+
+    /**
+     * Bring the index up to date with the vault, reading only notes whose
+     * record is missing or stale. Never edits notes (IDs are inserted by
+     * sync and rebuild).
+     */
+    async buildIndex() {
+        await this.refreshIndex();
+
+        const dupes = this.notesWithDuplicateIds().size;
+        if (dupes) {
+            new Notice(
+                `Callout exporter: ${dupes} note(s) share block IDs (often from copy-pasted callouts). Run "Find and repair duplicate block IDs" to fix them.`,
+            );
+        }
+    }
+
+    // Re-read notes whose index record is stale and drop records of notes that are gone.
+    async refreshIndex() {
+        const stale = [];
+        for (const f of this.app.vault.getMarkdownFiles()) {
+            if (this.mastersByPath.has(f.path)) continue;
+            const types = this.typesForNote(this.noteInfo(f));
+            if (types.length && !this.indexRecord(f, types))
+                stale.push({ file: f, types });
+        }
+
+        for (const path of Object.keys(this.calloutIndex.files)) {
+            if (!isMarkdownFile(this.app.vault.getAbstractFileByPath(path)))
+                this.moveIndexRecord(path, null);
+        }
+        if (stale.length) await this.indexNotes(stale);
+    }
+
+    // Read and index `stale` ({ file, types } pairs) with a progress Notice.
+    async indexNotes(stale) {
+        const notice =
+            stale.length >= INDEX_NOTICE_MIN_FILES
+                ? new Notice(
+                      `Callout exporter: indexing ${stale.length} notes…`,
+                      0,
+                  )
+                : null;
+        try {
+            for (let i = 0; i < stale.length; i++) {
+                const { file, types } = stale[i];
+                const text = await this.readNote(file);
+                const { callouts } = this.extractCallouts(text, types, {
+                    autoInsertIds: false,
+                });
+                this.setIndexRecord(file, types, callouts);
+
+                if ((i + 1) % INDEX_PROGRESS_EVERY === 0) {
+                    notice?.setMessage(
+                        `Callout exporter: indexed ${i + 1}/${stale.length} notes…`,
+                    );
+                    // Let the editor breathe between batches.
+                    await new Promise((r) => window.setTimeout(r, 0));
+                }
+            }
+        } finally {
+            notice?.hide();
+        }
+    }
+
+    // Snapshot values are "<body hash>:<hash with checkboxes blanked>".
+    getSnapshot(sourcePath, blockId) {
+        const value =
+            this.syncState.snapshots[snapshotKey(sourcePath, blockId)];
+        return value?.split(":")[0];
+    }
+
+    getTextSnapshot(sourcePath, blockId) {
+        const value =
+            this.syncState.snapshots[snapshotKey(sourcePath, blockId)];
+        return value?.split(":")[1];
+    }
+
+    // Checkbox states of the baseline (see taskStates), for toggle merges.
+    getSnapshotStates(sourcePath, blockId) {
+        const value =
+            this.syncState.snapshots[snapshotKey(sourcePath, blockId)];
+        return value?.split(":").slice(2).join(":") || undefined;
+    }
+
+    setSnapshot(sourcePath, blockId, bodyLines) {
+        const key = snapshotKey(sourcePath, blockId);
+        const hash = [
+            hashLines(bodyLines),
+            hashLines(normalizeCheckboxes(bodyLines)),
+            taskStates(bodyLines),
+        ].join(":");
+        if (this.syncState.snapshots[key] === hash) return;
+        // Remember the baseline from before the queued operation, in case
+        // the write this goes with never happens (see commitWrite).
+        if (this._snapshotUndo && !this._snapshotUndo.has(key))
+            this._snapshotUndo.set(key, this.syncState.snapshots[key]);
+        this.syncState.snapshots[key] = hash;
+        this.requestSaveState();
+    }
+
+    moveSnapshots(oldPath, newPath) {
+        const snaps = this.syncState.snapshots;
+        const prefix = `${oldPath}#^`;
+        let changed = false;
+        for (const key of Object.keys(snaps)) {
+            if (!key.startsWith(prefix)) continue;
+            if (newPath != null)
+                snaps[`${newPath}#^${key.slice(prefix.length)}`] = snaps[key];
+            delete snaps[key];
+            changed = true;
+        }
+        if (changed) this.requestSaveState();
+    }
+
+    mastersForType(type) {
+        return this.masters.filter((m) => m.types.includes(type));
+    }
+
+    /**
+     * Whether a callout belongs in a master. With an archive master, fully
+     * checked callouts live there and everything else in the main one. Views
+     * take whatever passes their filter.
+     */
+    masterAccepts(master, callout, note) {
+        if (!master.types.includes(callout.type)) return false;
+        const { bodyLines } = callout;
+        if (master.role === "view")
+            return viewAccepts(master.filter, bodyLines, note);
+        if (this.layoutsByType.get(callout.type)?.completedMode !== "archive")
+            return master.role === "main";
+        const done = parseTaskInfo(bodyLines).allDone;
+        return master.role === "archive" ? done : !done;
+    }
+
+    recordMasterEntries(masterPath, chunks) {
+        this.syncState.masterEntries[masterPath] = chunks.map((ch) =>
+            snapshotKey(ch.sourcePath, ch.blockId),
+        );
+        this.masterLines.set(
+            masterPath,
+            new Map(
+                chunks.map((ch) => [
+                    snapshotKey(ch.sourcePath, ch.blockId),
+                    ch.start,
+                ]),
+            ),
+        );
+        this.requestSaveState();
+    }
+
+    /**
+     * Could `masterPath` hold entries of `sourcePath`? False only when we know
+     * its entries and none is from that note, so the master needn't be read.
+     */
+    masterMayHaveSource(masterPath, sourcePath) {
+        const keys = this.syncState.masterEntries[masterPath];
+        if (!keys) return true;
+        const prefix = `${sourcePath}#^`;
+        return keys.some((k) => k.startsWith(prefix));
+    }
+
+    /**
+     * Keys that were in the master the last time we saw it but are gone now.
+     * The current set becomes the new baseline.
+     */
+    detectMasterRemovals(masterPath, chunks) {
+        const prev = this.syncState.masterEntries[masterPath];
+        this.recordMasterEntries(masterPath, chunks);
+        if (!prev) return [];
+
+        const now = new Set(
+            chunks.map((ch) => snapshotKey(ch.sourcePath, ch.blockId)),
+        );
+        return prev.filter((key) => !now.has(key));
+    }
+
+    notifyConflict(sourcePath, blockId, masterPath) {
+        // A preview shows the markers in its diff.
+        if (this._preview) return;
+        new Notice(
+            `Callout exporter: sync conflict for ^${blockId} in "${sourcePath}". Both versions were kept in "${masterPath}"; resolve the markers there.`,
+        );
+    }
+
+    async loadSettings() {
+        const data = (await this.loadData()) || {};
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, data);
+        this.settings.trackedTypes = uniqLower(
+            this.settings.trackedTypes || [],
+        );
+        this.settings.types = Object.assign({}, this.settings.types);
+        this.settings.autoExport = Object.assign(
+            {},
+            DEFAULT_SETTINGS.autoExport,
+            this.settings.autoExport,
+        );
+        this.settings.views = Array.isArray(this.settings.views)
+            ? this.settings.views.map((v) => ({
+                  ...DEFAULT_VIEW_SETTINGS,
+                  ...v,
+              }))
+            : [];
+    }
+
+    async saveSettings() {
+        await this.saveData(this.settings);
+    }
+
+    refreshTrackedTypes() {
+        this.trackedTypes = uniqLower(this.settings.trackedTypes);
+        this.masterPathsByType = new Map(
+            this.trackedTypes.map((t) => [
+                t,
+                masterPathForType(this.settings, t),
+            ]),
+        );
+        this.layoutsByType = new Map(
+            this.trackedTypes.map((t) => [
+                t,
+                masterLayoutForType(this.settings, t),
+            ]),
+        );
+        this.filtersByType = new Map(
+            this.trackedTypes.map((t) => [
+                t,
+                compileNoteFilter(typeSettings(this.settings, t)),
+            ]),
+        );
+        for (const type of this.trackedTypes) {
+            const { entryTemplate } = typeSettings(this.settings, type);
+            const error = entryTemplateError(entryTemplate);
+            if (error)
+                this.warnSetting(`Type ${type}: ${error}`, entryTemplate);
+        }
+
+        // alias → tracked type. A tracked type is never an alias, and the
+        // first type to claim an alias keeps it.
+        this.typeAliases = new Map();
+        for (const type of this.trackedTypes) {
+            for (const alias of uniqLower(
+                splitRuleLines(
+                    typeSettings(this.settings, type).aliases,
+                    /[\n,]/,
+                ),
+            )) {
+                if (this.layoutsByType.has(alias)) continue;
+                if (!this.typeAliases.has(alias))
+                    this.typeAliases.set(alias, type);
+            }
+        }
+
+        // Types sharing a master path are combined into one master, laid out
+        // by the first of them; their chunks carry a type tag.
+        const typesByPath = new Map();
+        for (const type of this.trackedTypes) {
+            const path = this.masterPathsByType.get(type);
+            typesByPath.set(path, [...(typesByPath.get(path) ?? []), type]);
+        }
+        for (const types of typesByPath.values()) {
+            if (types.length > 1)
+                for (const t of types)
+                    this.layoutsByType.get(t).combined = true;
+        }
+
+        // Every master file the plugin maintains:
+        // { path, type, types, role, layout } plus `filter` for views.
+        this.masters = [];
+        this.mastersByPath = new Map();
+        const addMaster = (path, type, role, layout) => {
+            const existing = this.mastersByPath.get(path);
+            if (existing?.role === role) {
+                existing.types.push(type);
+                return;
+            }
+            if (existing) {
+                new Notice(
+                    `Callout exporter: "${path}" is already a master file; skipped the ${role} master of ${type}.`,
+                );
+                return;
+            }
+            const master = { path, type, types: [type], role, layout };
+            this.masters.push(master);
+            this.mastersByPath.set(path, master);
+        };
+        for (const type of this.trackedTypes) {
+            const layout = this.layoutsByType.get(type);
+            addMaster(this.masterPathsByType.get(type), type, "main", layout);
+            if (layout.completedMode === "archive") {
+                // The archive is a plain list: no inbox, no Completed section.
+                addMaster(
+                    archivePathForType(this.settings, type),
+                    type,
+                    "archive",
+                    {
+                        ...layout,
+                        inboxHeading: "",
+                        completedMode: "none",
+                    },
+                );
+            }
+        }
+
+        for (const view of this.settings.views || []) {
+            const settings = { ...DEFAULT_VIEW_SETTINGS, ...view };
+            const path = String(settings.path || "").trim();
+            const types = uniqLower(
+                splitRuleLines(settings.types, /[\n,]/),
+            ).filter((t) => this.layoutsByType.has(t));
+            if (!path || !types.length) continue;
+            const textError = textMatchError(settings.textMatch);
+            if (textError) this.warnSetting(`View ${path}: ${textError}`);
+
+            const master = {
+                path: toMarkdownPath(path),
+                type: types[0],
+                types,
+                role: "view",
+                // Views are plain filtered lists: no inbox, no archive.
+                layout: {
+                    ...this.layoutsByType.get(types[0]),
+                    inboxHeading: "",
+                    completedMode:
+                        this.layoutsByType.get(types[0]).completedMode ===
+                        "section"
+                            ? "section"
+                            : "none",
+                },
+                filter: compileViewFilter(settings),
+            };
+            if (this.mastersByPath.has(master.path)) {
+                new Notice(
+                    `Callout exporter: view "${master.path}" is already a master file; skipped it.`,
+                );
+                continue;
+            }
+            this.masters.push(master);
+            this.mastersByPath.set(master.path, master);
+        }
+    }
+
+    /**
+     * Re-derive everything that depends on settings without a reload:
+     * master paths, insert commands and the master files themselves.
+     */
+    async applySettings() {
+        this.refreshTrackedTypes();
+        this.registerInsertCommands();
+        await this.ensureMasterFilesExist();
+    }
+
+    async ensureFolderExists(folderPath) {
+        if (!folderPath) return true;
+        const adapter = this.app.vault.adapter;
+        const st = await adapter.stat(folderPath);
+
+        if (!st) {
+            try {
+                await this.app.vault.createFolder(folderPath);
+            } catch (e) {
+                if (!isAlreadyExistsError(e)) throw e;
+            }
+            return true;
+        }
+
+        if (st.type !== "folder") {
+            new Notice(
+                `Callout exporter: "${folderPath}" exists but is not a folder. Fix it or change the master folder in the plugin settings.`,
+            );
+            return false; // don't crash the plugin
+        }
+        return true;
+    }
+
+    async ensureMasterFilesExist() {
+        const adapter = this.app.vault.adapter;
+
+        // Create master folder if configured
+        const masterFolder = String(this.settings.masterFolder || "").trim();
+        if (masterFolder) {
+            const ok = await this.ensureFolderExists(
+                normalizePath(masterFolder),
+            );
+            if (!ok) return;
+        }
+
+        for (const { path: mPath, layout } of this.masters) {
+            const st = await adapter.stat(mPath);
+
+            if (st) {
+                if (st.type !== "file") {
+                    new Notice(
+                        `Callout exporter: "${mPath}" exists but is not a file. Rename/remove it so the plugin can use it.`,
+                    );
+                }
+                continue;
+            }
+
+            // Per-type master paths may point into folders of their own.
+            if (!(await this.ensureFolderExists(parentFolderPath(mPath))))
+                continue;
+
+            try {
+                const header = renderMasterHeader(layout);
+                await this.app.vault.create(mPath, header.join("\n"));
+            } catch (e) {
+                if (!isAlreadyExistsError(e)) throw e;
+            }
+        }
+    }
+
+    removeCommandById(id) {
+        // Plugin.removeCommand only exists on newer app versions.
+        if (typeof this.removeCommand === "function") {
+            this.removeCommand(id);
+        } else {
+            this.app.commands?.removeCommand?.(`${this.manifest.id}:${id}`);
+        }
+    }
+
+    registerInsertCommands() {
+        const wanted = new Set(
+            this.trackedTypes.flatMap((type) => [
+                `insert-${type}-callout`,
+                `wrap-${type}-callout`,
+            ]),
+        );
+
+        // Drop commands for types that are no longer tracked.
+        for (const id of this._insertCommandIds) {
+            if (wanted.has(id)) continue;
+            this.removeCommandById(id);
+            this._insertCommandIds.delete(id);
+        }
+
+        for (const type of this.trackedTypes) {
+            const id = `insert-${type}-callout`;
+            if (this._insertCommandIds.has(id)) continue;
+
+            const nice = type.charAt(0).toUpperCase() + type.slice(1);
+            this.addCommand({
+                id,
+                name: `Insert ${nice} callout`,
+                editorCallback: (editor, view) =>
+                    this.insertCallout(editor, type),
+            });
+            this._insertCommandIds.add(id);
+
+            const wrapId = `wrap-${type}-callout`;
+            this.addCommand({
+                id: wrapId,
+                name: `Turn selection into ${nice} callout`,
+                editorCallback: (editor, view) =>
+                    this.wrapInCallout(editor, type),
+            });
+            this._insertCommandIds.add(wrapId);
+        }
+    }
+
+    registerSyncCommands() {
+        this.addCommand({
+            id: "sync-active-file-to-masters",
+            name: "Sync active note callouts to master files",
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file || !isMarkdownFile(file)) return false;
+                if (!checking)
+                    this.serialize(() => this.syncFromSource(file)).catch((e) =>
+                        this.reportError(`Sync ${file.path}`, e),
+                    );
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "rebuild-all-masters",
+            name: "Rebuild all master files from vault (tracked callouts)",
+            callback: () =>
+                this.serialize(() => this.rebuildAllMasters()).catch((e) =>
+                    this.reportError("Rebuild", e),
+                ),
+        });
+
+        this.addCommand({
+            id: "preview-rebuild-all-masters",
+            name: "Preview rebuild of all master files",
+            callback: () =>
+                this.previewOperation("Rebuild all masters", () =>
+                    this.rebuildAllMasters(),
+                ).catch((e) => this.reportError("Preview", e)),
+        });
+
+        this.addCommand({
+            id: "preview-sync-active-file",
+            name: "Preview sync of active note or master",
+            checkCallback: (checking) => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file || !isMarkdownFile(file)) return false;
+                if (checking) return true;
+                const master = this.mastersByPath.get(file.path);
+                this.previewOperation(`Sync ${file.path}`, () =>
+                    master
+                        ? this.syncFromMaster(master.type, file)
+                        : this.syncFromSource(file),
+                ).catch((e) => this.reportError("Preview", e));
+                return true;
+            },
+        });
+
+        this.addCommand({
+            id: "repair-duplicate-block-ids",
+            name: "Find and repair duplicate block IDs",
+            callback: () =>
+                this.serialize(() => this.repairDuplicateIds()).catch((e) =>
+                    this.reportError("Repairing block IDs", e),
+                ),
+        });
+
+        for (const [format, label] of Object.entries(EXPORT_FORMATS)) {
+            this.addCommand({
+                id: `export-${format}`,
+                name: `Export callouts to ${label}`,
+                callback: () =>
+                    this.serialize(() => this.exportCallouts(format)).catch(
+                        (e) => this.reportError(`${label} export`, e),
+                    ),
+            });
+        }
+
+        this.addCommand({
+            id: "check-masters",
+            name: "Check masters",
+            callback: () =>
+                this.openMasterCheck().catch((e) =>
+                    this.reportError("Checking masters", e),
+                ),
+        });
+
+        this.addCommand({
+            id: "open-callout-cards",
+            name: "Open callout cards",
+            callback: () =>
+                this.openView(VIEW_TYPE_CALLOUT_CARDS, () =>
+                    this.app.workspace.getLeaf("tab"),
+                ).catch((e) => this.reportError("Opening callout cards", e)),
+        });
+
+        this.addCommand({
+            id: "open-sync-log",
+            name: "Open sync log",
+            callback: () =>
+                this.openSyncLog().catch((e) =>
+                    this.reportError("Opening the sync log", e),
+                ),
+        });
+
+        this.addCommand({
+            id: "restore-from-backup",
+            name: "Restore from backup",
+            callback: () => {
+                if (!this.backupIndex.length) {
+                    new Notice("Callout exporter: no backups yet.");
+                    return;
+                }
+                new BackupBatchSuggestModal(this.app, this).open();
+            },
+        });
+
+        this.addCommand({
+            id: "undo-last-master-deletion",
+            name: "Undo last master deletion",
+            callback: () =>
+                this.serialize(() => this.undoLastDeletion()).catch((e) =>
+                    this.reportError("Undo", e),
+                ),
+        });
+    }
+
+    registerNavigationCommands() {
+        for (const [id, name] of [
+            ["jump-to-master-entry", "Jump to master entry"],
+            ["jump-to-source", "Jump to source"],
+            ["move-callout-to-note", "Move callout to note…"],
+            ["change-callout-type", "Change callout type…"],
+        ]) {
+            this.addCommand({
+                id,
+                name,
+                editorCheckCallback: (checking, editor, view) => {
+                    const action = this.editorActions(editor, view.file).find(
+                        (a) => a.id === id,
+                    );
+                    if (!action) return false;
+                    if (!checking) action.run();
+                    return true;
+                },
+            });
+        }
+
+        this.registerEvent(
+            this.app.workspace.on("editor-menu", (menu, editor, view) => {
+                for (const action of this.editorActions(editor, view.file))
+                    menu.addItem((item) =>
+                        item
+                            .setTitle(action.name)
+                            .setIcon(action.icon)
+                            .onClick(action.run),
+                    );
+            }),
+        );
+
+        // A note's first exported callout, for the file menu.
+        this.registerEvent(
+            this.app.workspace.on("file-menu", (menu, file) => {
+                if (!isMarkdownFile(file) || this.mastersByPath.has(file.path))
+                    return;
+                const first = this.calloutIndex.files[file.path]?.callouts[0];
+                if (!first) return;
+                menu.addItem((item) =>
+                    item
+                        .setTitle("Jump to master entry")
+                        .setIcon("list-tree")
+                        .onClick(() =>
+                            this.jumpToMasterEntry(
+                                file.path,
+                                first.blockId,
+                            ).catch((e) =>
+                                this.reportError(
+                                    "Jumping to master entry",
+                                    e,
+                                    file.path,
+                                ),
+                            ),
+                        ),
+                );
+            }),
+        );
+    }
+
+    /**
+     * What the cursor allows: in a note, retyping the callout under it and
+     * jumping to or moving a tracked one (once it has an ID); in a master,
+     * jumping to the source of the entry under it.
+     */
+    editorActions(editor, file) {
+        if (!isMarkdownFile(file)) return [];
+        const master = this.mastersByPath.get(file.path);
+        const line = editor.getCursor().line;
+        const text = editor.getValue();
+
+        if (master) {
+            const chunk = parseMasterChunks(text, master.layout).chunks.find(
+                (ch) => ch.start <= line && line < ch.end,
+            );
+            if (!chunk) return [];
+            return [
+                {
+                    id: "jump-to-source",
+                    name: "Jump to source",
+                    icon: "file-symlink",
+                    run: () =>
+                        this.jumpToSource(chunk, file.path).catch((e) =>
+                            this.reportError("Jumping to source", e, file.path),
+                        ),
+                },
+            ];
+        }
+
+        const actions = [];
+        const any = findCalloutAt(text, line);
+        if (any)
+            actions.push({
+                id: "change-callout-type",
+                name: "Change callout type…",
+                icon: "replace",
+                run: () =>
+                    new CalloutTypeSuggestModal(
+                        this.app,
+                        this,
+                        any.type,
+                        (type) => this.changeCalloutType(editor, any, type),
+                    ).open(),
+            });
+
+        const types = this.typesForNote(this.noteInfo(file));
+        const callout = types.length
+            ? this.extractCallouts(text, types, {
+                  autoInsertIds: false,
+              }).callouts.find(
+                  (c) =>
+                      c.startLine <= line &&
+                      line <= (c.idLine ?? c.quoteEndLine - 1),
+              )
+            : null;
+        if (!callout?.blockId) return actions;
+        const { blockId } = callout;
+        return [
+            ...actions,
+            {
+                id: "jump-to-master-entry",
+                name: "Jump to master entry",
+                icon: "list-tree",
+                run: () =>
+                    this.jumpToMasterEntry(file.path, blockId).catch((e) =>
+                        this.reportError(
+                            "Jumping to master entry",
+                            e,
+                            file.path,
+                        ),
+                    ),
+            },
+            {
+                id: "move-callout-to-note",
+                name: "Move callout to note…",
+                icon: "folder-input",
+                run: () =>
+                    new MoveCalloutSuggestModal(
+                        this.app,
+                        this,
+                        file,
+                        blockId,
+                    ).open(),
+            },
+        ];
+    }
+
+    registerVaultListeners() {
+        this.registerEvent(
+            this.app.vault.on("modify", (file) => {
+                if (!isMarkdownFile(file)) return;
+                this.onModify(file).catch((e) =>
+                    this.reportError(`Sync ${file.path}`, e, file.path),
+                );
+            }),
+        );
+
+        // Tag or frontmatter edits can move a note in or out of a type's
+        // include/exclude rules.
+        this.registerEvent(
+            this.app.metadataCache.on("changed", (file) => {
+                if (!isMarkdownFile(file)) return;
+                if (this.mastersByPath.has(file.path)) return;
+                const types = this.typesForNote(this.noteInfo(file)).join(",");
+                const rec = this.calloutIndex.files[file.path];
+                if ((rec?.types ?? "") !== types) this.scheduleSync(file.path);
+            }),
+        );
+
+        this.registerEvent(
+            this.app.vault.on("rename", (file, oldPath) => {
+                if (!isMarkdownFile(file)) return;
+                this.serialize(() => this.onRename(file, oldPath)).catch((e) =>
+                    this.reportError(`Rename ${oldPath}`, e, file.path),
+                );
+            }),
+        );
+
+        this.registerEvent(
+            this.app.vault.on("delete", (file) => {
+                if (!isMarkdownFile(file)) return;
+                this.serialize(() => this.onDelete(file.path)).catch((e) =>
+                    this.reportError(`Delete ${file.path}`, e),
+                );
+            }),
+        );
+    }
+
+    // Our own writes come back as modify events too; only other edits sync.
+    async onModify(file) {
+        const expected = this._expectedWrites.get(file.path);
+        if (expected) {
+            const hash = hashString(await this.app.vault.cachedRead(file));
+            const i = expected.indexOf(hash);
+            if (i >= 0) {
+                // This write and any older ones have landed.
+                expected.splice(0, i + 1);
+                if (!expected.length) this._expectedWrites.delete(file.path);
+                return;
+            }
+        }
+        this.scheduleSync(file.path);
+    }
+
+    /**
+     * `live`: scheduled by typing in an open note. A batch of only those is
+     * not backed up, or every pause would add a batch (see drainSyncs).
+     */
+    scheduleSync(path, { live = false } = {}) {
+        // A dry run mustn't queue real syncs.
+        if (this._preview) return;
+        if (!live) this._liveDirtyPaths.delete(path);
+        else if (!this._dirtyPaths.has(path)) this._liveDirtyPaths.add(path);
+        this._dirtyPaths.add(path);
+        this.updateStatusBar();
+        this.requestDrainSyncs();
+    }
+
+    // Sync every dirty note in one queued operation, so a master that several
+    // notes touch is written once.
+    drainSyncs() {
+        if (!this._dirtyPaths.size) return;
+        this._runningSyncs++;
+        this.updateStatusBar();
+        this.serialize(async () => {
+            const paths = Array.from(this._dirtyPaths);
+            if (paths.every((path) => this._liveDirtyPaths.has(path)))
+                this._skipBackups = true;
+            this._dirtyPaths.clear();
+            this._liveDirtyPaths.clear();
+            for (const path of paths) {
+                try {
+                    await this.syncPath(path);
+                } catch (e) {
+                    this.reportError(`Sync ${path}`, e, path);
+                }
+            }
+        })
+            .catch((e) => this.reportError("Sync", e))
+            .finally(() => {
+                this._runningSyncs--;
+                this.updateStatusBar();
+            });
+    }
+
+    /**
+     * Run `fn` after every operation queued before it, holding its writes
+     * until it ends (see writeFileIfChanged). Master deletions it leaves to
+     * confirm are asked about afterwards. For entry points only: calling it
+     * from inside a queued operation would wait on itself.
+     */
+    serialize(fn) {
+        const run = this._queue.then(async () => {
+            this._holdWrites = true;
+            this._snapshotUndo = new Map();
+            try {
+                return await fn();
+            } finally {
+                this._holdWrites = false;
+                await this.flushWrites();
+                this._snapshotUndo = null;
+                this.closeBackupBatch();
+                this._backupLabel = null;
+                this._skipBackups = false;
+                if (this._pendingRemovals.length)
+                    this.confirmMasterRemovals(
+                        this._pendingRemovals.splice(0),
+                    ).catch((e) => this.reportError("Master deletions", e));
+            }
+        });
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    async flushWrites() {
+        const writes = Array.from(this._pendingWrites.values());
+        this._pendingWrites.clear();
+        for (const write of writes) {
+            try {
+                await this.commitWrite(write);
+            } catch (e) {
+                this.reportError("Writing", e, write.file.path);
+            }
+        }
+    }
+
+    /**
+     * Atomic read-modify-write of one queued write. If the file no longer
+     * holds the text the write was based on (edited meanwhile, or changed by
+     * Sync), it is left alone and synced again instead.
+     */
+    async commitWrite({ file, base, text, undoable, masterEntries }) {
+        this.expectWrite(file.path, text);
+        let stale = false;
+        const editor = this.editorViews.get(file.path);
+        if (editor) {
+            // Open note: edit the buffer (cursor and history intact) and let
+            // Obsidian save it.
+            const current = editor.state.doc.toString();
+            if (current === base)
+                editor.dispatch({
+                    changes: lineEdits(current, text),
+                    annotations: [
+                        syncWriteAnnotation.of(true),
+                        Transaction.addToHistory.of(undoable),
+                    ],
+                });
+            else stale = true;
+        } else {
+            await this.app.vault.process(file, (current) => {
+                if (current === base) return text;
+                stale = true;
+                return current;
+            });
+        }
+
+        if (stale) {
+            this.forgetWrite(file.path, text);
+            // Put back what this write would have changed: the master's
+            // entries and the baselines of the callouts it carries, so the
+            // resync sees the edits on both sides.
+            const master = this.mastersByPath.get(file.path);
+            const keys = master
+                ? parseMasterChunks(text, master.layout).chunks.map((ch) =>
+                      snapshotKey(ch.sourcePath, ch.blockId),
+                  )
+                : Array.from(this._snapshotUndo?.keys() ?? []).filter((k) =>
+                      k.startsWith(`${file.path}#^`),
+                  );
+            for (const key of keys) {
+                if (!this._snapshotUndo?.has(key)) continue;
+                const before = this._snapshotUndo.get(key);
+                if (before === undefined) delete this.syncState.snapshots[key];
+                else this.syncState.snapshots[key] = before;
+                if (master) this.scheduleSync(parseSnapshotKey(key).sourcePath);
+            }
+            if (master) {
+                this.syncState.masterEntries[file.path] = masterEntries;
+                this.masterLines.delete(file.path);
+            }
+            this.requestSaveState();
+            this.log(
+                "warn",
+                "Changed while syncing: not overwritten, syncing it again",
+                file.path,
+            );
+            this.scheduleSync(file.path);
+            return;
+        }
+        this.log(
+            "info",
+            this.mastersByPath.has(file.path) ? "Wrote master" : "Wrote source",
+            file.path,
+        );
+    }
+
+    expectWrite(path, text) {
+        const expected = this._expectedWrites.get(path) ?? [];
+        expected.push(hashString(text));
+        if (expected.length > EXPECTED_WRITES_MAX) expected.shift();
+        this._expectedWrites.set(path, expected);
+    }
+
+    forgetWrite(path, text) {
+        const expected = this._expectedWrites.get(path);
+        const i = expected?.lastIndexOf(hashString(text)) ?? -1;
+        if (i >= 0) expected.splice(i, 1);
+        if (expected && !expected.length) this._expectedWrites.delete(path);
+    }
+
+    async syncPath(path) {
+        const af = this.app.vault.getAbstractFileByPath(path);
+        if (!(af instanceof TFile)) return;
+        this.labelBackup(`Sync ${path}`);
+        this.log("info", "Sync triggered", path);
+        // Syncing an open note's buffer: its save needn't sync again.
+        const editor = this.editorViews.get(path);
+        if (editor) this.expectWrite(path, editor.state.doc.toString());
+
+        // Is this one of the masters?
+        const master = this.mastersByPath.get(af.path);
+        if (master) {
+            await this.syncFromMaster(master.type, af);
+            this.requestAutoExport();
+            return;
+        }
+
+        // Otherwise, source note
+        await this.syncFromSource(af);
+        this.requestAutoExport();
+    }
+
+    /**
+     * cachedRead, but sees the pending text of a file during a preview,
+     * writes still held in the queue, and the unsaved buffer of open notes.
+     */
+    async readNote(file) {
+        const pending = this._preview?.pending?.get(file.path);
+        if (pending) return pending.after;
+        const queued = this._pendingWrites.get(file.path);
+        if (queued) return queued.text;
+        const editor = this.editorViews.get(file.path);
+        if (editor) return editor.state.doc.toString();
+        return this.app.vault.cachedRead(file);
+    }
+
+    /**
+     * While the cursor is in a callout of an open note, that callout gets no
+     * ^id yet (the line would land where the user is typing). Returns an
+     * `insertIdFor` for extractTrackedCallouts, or null.
+     */
+    idInsertFilter(file) {
+        const view = this.editorViews.get(file.path);
+        if (!view) return null;
+        const { doc, selection } = view.state;
+        const cursor = doc.lineAt(selection.main.head).number - 1;
+        return (start, end) => cursor < start || cursor > end + 1;
+    }
+
+    /**
+     * `undoable: false` keeps the change out of an open note's undo history
+     * (e.g. inserted ^id lines).
+     */
+    async writeFileIfChanged(file, newText, { undoable = true } = {}) {
+        if (!isMarkdownFile(file)) return;
+        const oldText = await this.readNote(file);
+        if (oldText === newText) return;
+
+        // Previews collect writes instead (see previewOperation).
+        const preview = this._preview;
+        if (preview) {
+            const prev = preview.pending.get(file.path);
+            preview.pending.set(file.path, {
+                file,
+                before: prev ? prev.before : oldText,
+                after: newText,
+                create: prev?.create ?? false,
+            });
+            this.recordWrittenMaster(file.path, newText);
+            return;
+        }
+
+        await this.backupBeforeWrite(file.path, oldText);
+
+        // Later writes to a held file replace its text; the base stays the
+        // text on disk.
+        const queued = this._pendingWrites.get(file.path);
+        if (queued) {
+            queued.text = newText;
+            queued.undoable ||= undoable;
+        } else
+            this._pendingWrites.set(file.path, {
+                file,
+                base: oldText,
+                text: newText,
+                undoable,
+                masterEntries: this.syncState.masterEntries[file.path],
+            });
+        this.recordWrittenMaster(file.path, newText);
+        if (!this._holdWrites) await this.flushWrites();
+    }
+
+    /**
+     * Name the backup batch the next write opens, e.g. "Rebuild all masters".
+     * Ignored while a batch is already open.
+     */
+    labelBackup(label) {
+        if (!this._backupBatch) this._backupLabel = label;
+    }
+
+    /**
+     * Keep `oldText` of `path` in the open backup batch (opening one if
+     * needed). Only the first write of a file in a batch is kept, so
+     * restoring the batch returns the file to its state before it.
+     */
+    async backupBeforeWrite(path, oldText) {
+        if (!this.settings.backupsEnabled || this._skipBackups) return;
+        try {
+            let batch = this._backupBatch;
+            if (!batch) {
+                const time = Date.now();
+                batch = {
+                    id: `${time}-${generateId(4)}`,
+                    time,
+                    label: this._backupLabel || "Sync",
+                    files: [],
+                };
+                this._backupBatch = batch;
+                this._backupLabel = null;
+                this.backupIndex.push(batch);
+            }
+
+            if (!batch.files.some((f) => f.path === path)) {
+                const folder = normalizePath(
+                    `${this.manifest.dir}/${BACKUP_FOLDER}/${batch.id}`,
+                );
+                const adapter = this.app.vault.adapter;
+                if (!(await adapter.exists(folder)))
+                    await adapter.mkdir(folder);
+                const name = `${batch.files.length}.md`;
+                await adapter.write(`${folder}/${name}`, oldText);
+                batch.files.push({ path, name });
+                this.requestSaveBackupIndex();
+            }
+        } catch (e) {
+            this.reportError("Backup", e, path);
+        }
+    }
+
+    async loadBackupIndex() {
+        this.backupIndex = await this.readPluginJson(BACKUP_INDEX_FILE, []);
+    }
+
+    async saveBackupIndex() {
+        if (!this.backupIndex) return;
+        const folder = normalizePath(`${this.manifest.dir}/${BACKUP_FOLDER}`);
+        const adapter = this.app.vault.adapter;
+        if (!(await adapter.exists(folder))) await adapter.mkdir(folder);
+        await this.writePluginJson(BACKUP_INDEX_FILE, this.backupIndex);
+    }
+
+    // Drop batches past the count or age limit, folders included.
+    async pruneBackups() {
+        const maxBatches = Math.max(
+            1,
+            Number(this.settings.backupMaxBatches) || 1,
+        );
+        const maxAge =
+            Number(this.settings.backupMaxDays) * 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        const keep = this.backupIndex.filter(
+            (b, i) =>
+                b === this._backupBatch ||
+                (this.backupIndex.length - i <= maxBatches &&
+                    (!maxAge || now - b.time <= maxAge)),
+        );
+        const gone = this.backupIndex.filter((b) => !keep.includes(b));
+        if (!gone.length) return;
+
+        this.backupIndex = keep;
+        await this.saveBackupIndex();
+        const adapter = this.app.vault.adapter;
+        for (const b of gone) {
+            const folder = normalizePath(
+                `${this.manifest.dir}/${BACKUP_FOLDER}/${b.id}`,
+            );
+            try {
+                if (await adapter.exists(folder))
+                    await adapter.rmdir(folder, true);
+            } catch (e) {
+                this.reportError(`Pruning backup ${b.id}`, e);
+            }
+        }
+    }
+
+    /**
+     * Put every file of a backup batch back as it was before the batch.
+     * Current contents are backed up first, so a restore can be restored.
+     */
+    async restoreBackup(batch) {
+        const adapter = this.app.vault.adapter;
+        const folder = normalizePath(
+            `${this.manifest.dir}/${BACKUP_FOLDER}/${batch.id}`,
+        );
+
+        this.closeBackupBatch();
+        this.labelBackup(`Before restoring "${batch.label}"`);
+
+        const sources = [];
+        let restored = 0;
+        for (const { path, name } of batch.files) {
+            let text;
+            try {
+                text = await adapter.read(`${folder}/${name}`);
+            } catch (e) {
+                this.reportError("Reading the backup", e, path);
+                continue;
+            }
+
+            let af = this.app.vault.getAbstractFileByPath(path);
+            if (!isMarkdownFile(af)) {
+                if (!(await this.ensureFolderExists(parentFolderPath(path))))
+                    continue;
+                af = await this.app.vault.create(path, text);
+            } else {
+                await this.writeFileIfChanged(af, text);
+            }
+            restored++;
+            if (!this.mastersByPath.has(path)) sources.push(af);
+        }
+        this.closeBackupBatch();
+
+        // Our own writes don't trigger syncs (see onModify): re-sync restored
+        // sources so masters and baselines agree with them. Without new IDs,
+        // or restoring a batch that added IDs wouldn't stick.
+        for (const af of sources)
+            await this.syncFromSource(af, { insertIds: false });
+
+        new Notice(
+            `Callout exporter: restored ${restored} file(s) from "${batch.label}" (${moment(batch.time).format("YYYY-MM-DD HH:mm:ss")}).`,
+        );
+    }
+
+    closeBackupBatch() {
+        if (!this._backupBatch) return;
+        this._backupBatch = null;
+        this.saveBackupIndex()
+            .then(() => this.pruneBackups())
+            .catch((e) => this.reportError("Saving backups", e));
+    }
+
+    // Plugin-written masters are the new baseline for delete detection.
+    recordWrittenMaster(path, text) {
+        const master = this.mastersByPath.get(path);
+        if (!master) return;
+        const { chunks } = parseMasterChunks(text, master.layout);
+        this.recordMasterEntries(path, chunks);
+    }
+
+    /**
+     * Dry-run `run` (a sync or rebuild), show every write it would make as a
+     * per-file diff, and write exactly those texts for the files picked in
+     * the modal. The dry run and the writes are queued operations of their
+     * own, so syncs go on while the modal is open.
+     */
+    async previewOperation(title, run) {
+        if (this._previewOpen) {
+            new Notice("Callout exporter: a preview is already open.");
+            return;
+        }
+        this._previewOpen = true;
+        try {
+            const dryRun = await this.serialize(() => this.dryRun(run));
+            if (!dryRun.changes.length) {
+                new Notice(`Callout exporter: ${title}: nothing to write.`);
+                return;
+            }
+            const allow = await new PreviewChangesModal(
+                this.app,
+                title,
+                dryRun.changes,
+            ).openAndWait();
+            if (!allow?.size) return;
+            await this.serialize(() => this.applyDryRun(title, dryRun, allow));
+        } finally {
+            this._previewOpen = false;
+        }
+    }
+
+    /**
+     * Run `run` collecting its writes and delete-policy batches instead of
+     * making them, then put the state back as it was.
+     */
+    async dryRun(run) {
+        await this._indexing;
+        const saved = this.captureState();
+        const preview = { pending: new Map(), trash: [] };
+        this._preview = preview;
+        try {
+            await run();
+            const changes = Array.from(preview.pending.values())
+                .filter(({ before, after }) => before !== after)
+                .map(({ file, before, after, create }) => ({
+                    file,
+                    path: file.path,
+                    role: this.mastersByPath.has(file.path)
+                        ? "master"
+                        : "source",
+                    before,
+                    after,
+                    create,
+                }));
+            return {
+                saved,
+                after: this.captureState(),
+                changes,
+                trash: preview.trash,
+            };
+        } finally {
+            this._preview = null;
+            this.restoreState(saved);
+        }
+    }
+
+    /**
+     * Write the picked files of a dry run and take over their state from it.
+     * Files edited or synced since the dry run are skipped.
+     */
+    async applyDryRun(title, { saved, after, changes, trash }, allow) {
+        this.labelBackup(title);
+        const moved = changedStatePaths(saved, this.captureState());
+        const written = new Set();
+        for (const change of changes) {
+            if (!allow.has(change.path) || moved.has(change.path)) continue;
+            const file = change.create
+                ? await this.createNote(change.path)
+                : change.file;
+            if (!file || (await this.readNote(file)) !== change.before)
+                continue;
+            await this.writeFileIfChanged(file, change.after);
+            written.add(change.path);
+        }
+
+        const skipped = new Set(
+            changes.map((c) => c.path).filter((path) => !written.has(path)),
+        );
+        this.restoreState(
+            after,
+            Array.from(changedStatePaths(saved, after)).filter(
+                (path) => !skipped.has(path) && !moved.has(path),
+            ),
+        );
+
+        for (const batch of trash) {
+            const entries = batch.entries.filter((e) =>
+                written.has(e.sourcePath),
+            );
+            if (entries.length)
+                await this.pushTrashBatch({ ...batch, entries });
+        }
+
+        new Notice(
+            `Callout exporter: ${title}: wrote ${written.size} of ${changes.length} file(s).`,
+        );
+    }
+
+    captureState() {
+        return {
+            syncState: JSON.parse(JSON.stringify(this.syncState)),
+            files: JSON.parse(JSON.stringify(this.calloutIndex.files)),
+            masterLines: new Map(this.masterLines),
+        };
+    }
+
+    /**
+     * Put back captured state: all of it, or with `paths` only what belongs
+     * to those files (their snapshots and index record, or as masters their
+     * recorded entries).
+     */
+    restoreState(saved, paths = null) {
+        if (!paths) {
+            this.syncState = JSON.parse(JSON.stringify(saved.syncState));
+            this.calloutIndex.files = JSON.parse(JSON.stringify(saved.files));
+            this.masterLines = new Map(saved.masterLines);
+            this.blockIndex = new Map();
+            for (const path of Object.keys(this.calloutIndex.files))
+                this.indexBlocks(path, true);
+            this.requestSaveState();
+            this.requestSaveIndex();
+            return;
+        }
+
+        const snaps = this.syncState.snapshots;
+        for (const path of paths) {
+            const prefix = `${path}#^`;
+            for (const key of Object.keys(snaps))
+                if (key.startsWith(prefix)) delete snaps[key];
+            for (const [key, value] of Object.entries(
+                saved.syncState.snapshots,
+            ))
+                if (key.startsWith(prefix)) snaps[key] = value;
+
+            this.indexBlocks(path, false);
+            if (saved.files[path])
+                this.calloutIndex.files[path] = saved.files[path];
+            else delete this.calloutIndex.files[path];
+            this.indexBlocks(path, true);
+
+            if (this.mastersByPath.has(path)) {
+                const entries = saved.syncState.masterEntries[path];
+                if (entries) this.syncState.masterEntries[path] = entries;
+                else delete this.syncState.masterEntries[path];
+                if (saved.masterLines.has(path))
+                    this.masterLines.set(path, saved.masterLines.get(path));
+                else this.masterLines.delete(path);
+            }
+        }
+        this.requestSaveState();
+        this.requestSaveIndex();
+    }
+
+    insertCallout(editor, type) {
+        const id = generateUniqueId((id) => this.blockIndex.has(id));
+        const isTodo = type === "todo";
+
+        // Per Obsidian guidance for structured blocks, keep blank line before and after ^id. :contentReference[oaicite:1]{index=1}
+        const calloutStart = `> [!${type}]`;
+        const firstLine = isTodo ? `> - [ ] ` : `> - `;
+        const snippet = `${calloutStart}\n${firstLine}\n\n^${id}\n\n`;
+
+        const cursor = editor.getCursor();
+        editor.replaceRange(snippet, cursor);
+
+        // Place cursor at the start of the item text:
+        // "> - [ ] |" or "> - |"
+        const lineOffset = 1; // second inserted line
+        const chOffset = isTodo ? `> - [ ] `.length : `> - `.length;
+        editor.setCursor({ line: cursor.line + lineOffset, ch: chOffset });
+    }
+
+    /**
+     * Turn the selected lines (or the paragraph at the cursor) into a
+     * tracked callout with a fresh ^id. A blockquote keeps its lines and
+     * gains a header; list items become tasks in a todo. A callout already
+     * at the cursor is retyped instead.
+     */
+    wrapInCallout(editor, type) {
+        const text = editor.getValue();
+        let from = editor.getCursor("from").line;
+        let to = editor.getCursor("to").line;
+        const existing = findCalloutAt(text, from);
+        if (existing) {
+            this.changeCalloutType(editor, existing, type);
+            return;
+        }
+
+        const lines = text.split(/\r?\n/);
+        const blank = (i) => String(lines[i] ?? "").trim() === "";
+        if (!editor.somethingSelected()) {
+            if (blank(from)) return;
+            while (from > 0 && !blank(from - 1)) from--;
+            while (to < lines.length - 1 && !blank(to + 1)) to++;
+        }
+
+        const isTodo = type === "todo";
+        const selected = lines.slice(from, to + 1);
+        const quoted = selected.every((l) => !l.trim() || /^\s*>/.test(l));
+        const body = selected.map((l) => {
+            if (quoted) return l;
+            if (isTodo) l = toTaskLine(l);
+            return l.trim() ? `> ${l}` : ">";
+        });
+        // A blank line first, or the header would continue a quote above.
+        const header = [`> [!${type}]`];
+        if (from > 0 && !blank(from - 1)) header.unshift("");
+        lines.splice(from, to - from + 1, ...header, ...body);
+        const headerLine = from + header.length - 1;
+
+        this.replaceWithNewId(editor, lines.join("\n"), type, headerLine);
+        editor.setCursor({
+            line: headerLine,
+            ch: editor.getLine(headerLine).length,
+        });
+    }
+
+    /**
+     * Change a callout's type in place (header only: title, fold and body
+     * stay). A callout that becomes tracked gets its ^id now; the sync then
+     * moves its master entry, same block ID, to the new type's master.
+     */
+    changeCalloutType(editor, callout, type) {
+        if (callout.type === type) return;
+        const lines = editor.getValue().split(/\r?\n/);
+        lines[callout.startLine] = buildCalloutHeader({
+            prefix: callout.prefix,
+            type,
+            fold: callout.fold,
+            title: callout.title,
+        });
+        const text = lines.join("\n");
+        if (callout.blockId || !this.canonicalType(type))
+            this.replaceEditorText(editor, text);
+        else this.replaceWithNewId(editor, text, type, callout.startLine);
+    }
+
+    // `text` with a new ^id added to the `type` callout starting at `line`.
+    replaceWithNewId(editor, text, type, line) {
+        const { text: out } = this.extractCallouts(text, [type], {
+            autoInsertIds: true,
+            insertIdFor: (start) => start === line,
+            isTaken: (id) => this.blockIndex.has(id),
+        });
+        this.replaceEditorText(editor, out);
+    }
+
+    // One undoable edit from the editor's text to `text`, touching only the
+    // changed lines so the cursor stays put.
+    replaceEditorText(editor, text) {
+        const changes = lineEdits(editor.getValue(), text).map((c) => ({
+            from: editor.offsetToPos(c.from),
+            to: editor.offsetToPos(c.to),
+            text: c.insert,
+        }));
+        if (changes.length) editor.transaction({ changes });
+    }
+
+    // The tracked type an identifier exports as (itself or via an alias).
+    canonicalType(identifier) {
+        const id = String(identifier || "").toLowerCase();
+        return this.layoutsByType.has(id) ? id : this.typeAliases.get(id);
+    }
+
+    // extractTrackedCallouts with the configured type aliases.
+    extractCallouts(text, types, opts = {}) {
+        return extractTrackedCallouts(text, types, {
+            aliases: this.typeAliases,
+            ...opts,
+        });
+    }
+
+    /** Path, tags (lowercase, no "#") and frontmatter of a note, for filters. */
+    noteInfo(file) {
+        const cache = this.app.metadataCache.getFileCache(file);
+        const tags = cache
+            ? uniqLower(
+                  (getAllTags(cache) ?? []).map((t) => t.replace(/^#/, "")),
+              )
+            : [];
+        return { path: file.path, tags, frontmatter: cache?.frontmatter };
+    }
+
+    /** Tracked types whose include/exclude rules let this note in. */
+    typesForNote(note) {
+        return this.trackedTypes.filter((t) =>
+            noteMatchesFilter(
+                this.filtersByType.get(t),
+                note.path,
+                note.tags,
+                note.frontmatter,
+            ),
+        );
+    }
+
+    /**
+     * Push one source note's callouts into every master. `pushed` and
+     * `skipMaster` come from syncFromMaster: entries it just wrote back to
+     * the source, and the master that edit came from. With `insertIds`
+     * false, callouts without an ID are left as they are (and unexported).
+     */
+    async syncFromSource(
+        file,
+        { pushed = null, skipMaster = null, insertIds = true } = {},
+    ) {
+        const trackedTypes = this.trackedTypes;
+        if (!trackedTypes.length) return;
+
+        // Callouts of excluded types are dropped below, so the note's old
+        // chunks leave their masters.
+        const note = this.noteInfo(file);
+        const included = this.typesForNote(note);
+        let callouts = [];
+        if (included.length) {
+            const raw = await this.readNote(file);
+            const extracted = this.extractCallouts(raw, included, {
+                autoInsertIds: insertIds,
+                insertIdFor: this.idInsertFilter(file),
+                isTaken: (id) => this.blockIndex.has(id),
+            });
+            callouts = extracted.callouts;
+            const { text, moved } = this.reidCopiedCallouts(
+                file,
+                extracted.text,
+                callouts,
+            );
+
+            // If we inserted missing ids, write back the source file first (and continue with patched content).
+            if (text !== raw) {
+                this.logInsertedIds(file.path, raw, extracted.text);
+                await this.writeFileIfChanged(file, text, { undoable: false });
+            }
+            this.setIndexRecord(file, included, callouts);
+
+            if (moved.length) {
+                if (!this._preview)
+                    new Notice(
+                        `Callout exporter: gave ${moved.length} copied callout(s) in "${file.path}" new block IDs.`,
+                    );
+                for (const { oldId, newId } of moved)
+                    await this.relinkBlock(file.path, oldId, newId);
+            }
+        } else {
+            this.moveIndexRecord(file.path, null);
+        }
+
+        // Bodies as they're exported. A callout still waiting for its ^id
+        // (cursor inside it) is exported once it has one.
+        const exported = callouts
+            .filter((c) => c.blockId)
+            .map((c) => ({
+                ...c,
+                bodyLines: exportedBodyLines(c, this.layoutsByType.get(c.type)),
+            }));
+
+        // Update relevant master files *in place* for this one source note.
+        for (const master of this.masters) {
+            if (master.path === skipMaster) continue;
+            await this.updateMaster(
+                master,
+                file,
+                exported.filter((c) => this.masterAccepts(master, c, note)),
+                pushed,
+            );
+        }
+    }
+
+    /**
+     * Which of two notes holding the same block ID has the copy? The one
+     * that was never synced under it, else the newer note.
+     */
+    isNewerCopy(path, otherPath, blockId) {
+        const mine = this.getSnapshot(path, blockId) !== undefined;
+        const theirs = this.getSnapshot(otherPath, blockId) !== undefined;
+        if (mine !== theirs) return theirs;
+
+        const ctime = (p) =>
+            this.app.vault.getAbstractFileByPath(p)?.stat?.ctime ?? 0;
+        if (ctime(path) !== ctime(otherPath))
+            return ctime(path) > ctime(otherPath);
+        return path > otherPath;
+    }
+
+    /**
+     * Re-ID callouts that duplicate a block ID: later repeats within the note,
+     * and copies of a callout that lives in another note (see isNewerCopy).
+     * When the other note holds the copy, it's queued to fix itself.
+     * Updates `callouts` in place; returns the patched text and the moves.
+     */
+    reidCopiedCallouts(file, text, callouts) {
+        const lines = text.split(/\r?\n/);
+        const seen = new Set();
+        const moved = [];
+        let used = null;
+
+        for (const c of callouts) {
+            if (!c.blockId) continue;
+            let copy = seen.has(c.blockId);
+            seen.add(c.blockId);
+
+            for (const other of this.blockIndex.get(c.blockId) ?? []) {
+                if (other.sourcePath === file.path) continue;
+                const af = this.app.vault.getAbstractFileByPath(
+                    other.sourcePath,
+                );
+                if (!isMarkdownFile(af)) continue;
+                if (this.isNewerCopy(file.path, other.sourcePath, c.blockId))
+                    copy = true;
+                else this.scheduleSync(other.sourcePath);
+            }
+            if (!copy) continue;
+
+            used ??= collectBlockIds(text);
+            const oldId = c.blockId;
+            const newId = generateUniqueId(
+                (id) => used.has(id) || this.blockIndex.has(id),
+            );
+            if (!replaceCalloutId(lines, c, newId)) continue;
+            used.add(newId);
+            moved.push({ oldId, newId });
+        }
+
+        return { text: moved.length ? lines.join("\n") : text, moved };
+    }
+
+    /**
+     * Point links and embeds in other notes at `path#^oldId` to the new ID.
+     * Masters are left to the sync, which re-renders their chunks.
+     */
+    async relinkBlock(path, oldId, newId) {
+        const cache = this.app.metadataCache;
+        for (const f of this.app.vault.getMarkdownFiles()) {
+            if (f.path === path || this.mastersByPath.has(f.path)) continue;
+            const fc = cache.getFileCache(f);
+            const refs = [...(fc?.links ?? []), ...(fc?.embeds ?? [])].filter(
+                (ref) => {
+                    const [linkpath, subpath] = ref.link.split("#");
+                    if (subpath !== `^${oldId}` || !linkpath) return false;
+                    return (
+                        cache.getFirstLinkpathDest(linkpath, f.path)?.path ===
+                        path
+                    );
+                },
+            );
+            if (!refs.length) continue;
+
+            const text = await this.readNote(f);
+            let out = text;
+            for (const ref of refs) {
+                out = out
+                    .split(ref.original)
+                    .join(ref.original.replace(`#^${oldId}`, `#^${newId}`));
+            }
+            if (out === text) continue;
+            await this.writeFileIfChanged(f, out);
+            // The link may sit in a tracked callout body.
+            await this.syncFromSource(f);
+        }
+    }
+
+    /** Notes whose block IDs clash, within the note or with another note. */
+    notesWithDuplicateIds() {
+        const paths = new Set();
+        for (const list of this.blockIndex.values()) {
+            if (list.length > 1) list.forEach((e) => paths.add(e.sourcePath));
+        }
+        for (const [path, rec] of Object.entries(this.calloutIndex.files)) {
+            const ids = rec.callouts.map((c) => c.blockId);
+            if (new Set(ids).size !== ids.length) paths.add(path);
+        }
+        return paths;
+    }
+
+    async repairDuplicateIds() {
+        this.labelBackup("Repair duplicate block IDs");
+        await this._indexing;
+        const paths = this.notesWithDuplicateIds();
+        if (!paths.size) {
+            new Notice("Callout exporter: no duplicate block IDs found.");
+            return;
+        }
+        // Each sync re-IDs that note's copies (see reidCopiedCallouts).
+        for (const path of paths) {
+            const af = this.app.vault.getAbstractFileByPath(path);
+            if (isMarkdownFile(af)) await this.syncFromSource(af);
+        }
+        const left = this.notesWithDuplicateIds();
+        for (const path of left)
+            this.log("warn", "Duplicate block IDs remain", path);
+        new Notice(
+            left.size
+                ? `Callout exporter: ${left.size} note(s) still share block IDs; see the sync log.`
+                : `Callout exporter: repaired duplicate block IDs in ${paths.size} note(s).`,
+        );
+    }
+
+    // Tracked callouts by type, from the index (filters apply), by path.
+    exportRecords() {
+        const byType = new Map(this.trackedTypes.map((t) => [t, []]));
+        const paths = Object.keys(this.calloutIndex.files).sort();
+        for (const path of paths) {
+            const rec = this.calloutIndex.files[path];
+            for (const c of rec.callouts) {
+                const tasks = parseTaskInfo(c.bodyLines).tasks;
+                byType.get(c.type)?.push({
+                    type: c.type,
+                    blockId: c.blockId,
+                    path,
+                    title: c.title ?? "",
+                    checkbox: checkboxState(tasks),
+                    due: parseDueDate(c.bodyLines),
+                    body: c.bodyLines.join("\n"),
+                    tasks: tasks.map(({ text, checked }) => ({
+                        text,
+                        checked,
+                        due: text.match(DUE_DATE_RE)?.[1] ?? null,
+                    })),
+                    mtime: rec.mtime,
+                });
+            }
+        }
+        return byType;
+    }
+
+    /**
+     * Write one `format` file per tracked type into the export folder.
+     * Calendars are only written for types with dated checkbox items.
+     */
+    async exportCallouts(format, { quiet = false } = {}) {
+        await this._indexing;
+        await this.refreshIndex();
+        const folder = normalizePath(this.settings.exportFolder || "/");
+        if (!(await this.ensureFolderExists(folder === "/" ? "" : folder)))
+            return;
+
+        let written = 0;
+        for (const [type, records] of this.exportRecords()) {
+            if (
+                format === "ics" &&
+                !records.some((r) => r.tasks.some((t) => t.due))
+            )
+                continue;
+            const path = normalizePath(`${folder}/${type}.${format}`);
+            if (await this.writeExportFile(path, buildExport(format, records)))
+                written++;
+        }
+        if (written)
+            this.log(
+                "info",
+                `Exported ${written} ${EXPORT_FORMATS[format]} file(s)`,
+                folder,
+            );
+        if (!quiet)
+            new Notice(
+                `Callout exporter: ${EXPORT_FORMATS[format]} export written to "${folder}".`,
+            );
+    }
+
+    // Exports are generated output: no backups, and unchanged files aren't touched.
+    async writeExportFile(path, text) {
+        const af = this.app.vault.getAbstractFileByPath(path);
+        if (af instanceof TFile) {
+            if ((await this.app.vault.read(af)) === text) return false;
+            await this.app.vault.modify(af, text);
+        } else {
+            await this.app.vault.create(path, text);
+        }
+        return true;
+    }
+
+    // Regenerate the exports that are set to follow every sync.
+    async autoExport() {
+        if (this._preview) return;
+        for (const format of Object.keys(EXPORT_FORMATS)) {
+            if (this.settings.autoExport[format])
+                await this.exportCallouts(format, { quiet: true });
+        }
+    }
+
+    /**
+     * Save a card edit into its source callout, through the same write-back
+     * as master edits. `base` is the body the card was showing: if the note
+     * changed since, nothing is written and false is returned.
+     */
+    async saveCardEdit(card, { title, bodyLines, base }) {
+        const file = this.app.vault.getAbstractFileByPath(card.path);
+        if (!(file instanceof TFile)) return false;
+        const text = await this.readNote(file);
+        const current = this.extractCallouts(text, [card.type], {
+            autoInsertIds: false,
+        }).callouts.find((c) => c.blockId === card.blockId);
+        if (
+            !current ||
+            (current.title ?? "") !== card.title ||
+            hashLines(current.bodyLines) !== hashLines(base)
+        )
+            return false;
+
+        this.labelBackup(`Edit card ^${card.blockId}`);
+        const updated = this.applyMasterEditsToSource(
+            text,
+            [card.type],
+            [
+                {
+                    sourcePath: card.path,
+                    blockId: card.blockId,
+                    bodyLines,
+                    title,
+                },
+            ],
+        );
+        if (updated !== text) {
+            await this.writeFileIfChanged(file, updated);
+            await this.syncFromSource(file);
+            this.requestAutoExport();
+        }
+        return true;
+    }
+
+    /**
+     * Find what the masters and the notes disagree on:
+     * - orphans: master entries whose note or ^id is gone (with the best
+     *   relink candidate, if any),
+     * - unexported: tracked callouts missing from a master that accepts them,
+     * - missingIds: notes with tracked callouts that have no ^id yet.
+     */
+    async checkMasters() {
+        await this._indexing;
+        await this.refreshIndex();
+
+        const notes = new Map();
+        const noteFor = (path) => {
+            if (!notes.has(path)) {
+                const af = this.app.vault.getAbstractFileByPath(path);
+                notes.set(path, isMarkdownFile(af) ? this.noteInfo(af) : null);
+            }
+            return notes.get(path);
+        };
+
+        const report = { orphans: [], unexported: [], missingIds: [] };
+        for (const master of this.masters) {
+            const af = this.app.vault.getAbstractFileByPath(master.path);
+            if (!(af instanceof TFile)) continue;
+            const { chunks } = parseMasterChunks(
+                await this.readNote(af),
+                master.layout,
+            );
+            const present = new Set(
+                chunks.map((ch) => snapshotKey(ch.sourcePath, ch.blockId)),
+            );
+
+            for (const ch of chunks) {
+                const exists = (this.blockIndex.get(ch.blockId) ?? []).some(
+                    (e) =>
+                        e.sourcePath === ch.sourcePath &&
+                        master.types.includes(e.type),
+                );
+                if (exists) continue;
+                let reason = "block";
+                if (!noteFor(ch.sourcePath)) reason = "note";
+                else if (
+                    !this.typesForNote(noteFor(ch.sourcePath)).some((t) =>
+                        master.types.includes(t),
+                    )
+                )
+                    reason = "untracked";
+                report.orphans.push({
+                    master: master.path,
+                    sourcePath: ch.sourcePath,
+                    blockId: ch.blockId,
+                    bodyLines: ch.bodyLines,
+                    reason,
+                    candidate: this.findRelinkCandidate(master, ch),
+                });
+            }
+
+            for (const [path, rec] of Object.entries(this.calloutIndex.files)) {
+                const note = noteFor(path);
+                if (!note) continue;
+                for (const c of rec.callouts) {
+                    if (present.has(snapshotKey(path, c.blockId))) continue;
+                    if (!this.masterAccepts(master, c, note)) continue;
+                    report.unexported.push({
+                        master: master.path,
+                        sourcePath: path,
+                        blockId: c.blockId,
+                        bodyLines: c.bodyLines,
+                    });
+                }
+            }
+        }
+
+        for (const [path, rec] of Object.entries(this.calloutIndex.files)) {
+            if (rec.missingIds) report.missingIds.push(path);
+        }
+        return report;
+    }
+
+    /**
+     * Where an orphaned master entry most likely went: the same ^id in
+     * another note (moved outside Obsidian), else the callout of the master's
+     * types whose body is closest to the entry's.
+     */
+    findRelinkCandidate(master, chunk) {
+        const moved = (this.blockIndex.get(chunk.blockId) ?? []).find((e) =>
+            master.types.includes(e.type),
+        );
+        if (moved)
+            return {
+                sourcePath: moved.sourcePath,
+                blockId: moved.blockId,
+                score: 1,
+            };
+
+        let best = null;
+        for (const [path, rec] of Object.entries(this.calloutIndex.files)) {
+            for (const c of rec.callouts) {
+                if (!master.types.includes(c.type)) continue;
+                const score = textSimilarity(
+                    chunk.bodyLines,
+                    exportedBodyLines(c, this.layoutsByType.get(c.type)),
+                );
+                if (
+                    score >= RELINK_MIN_SIMILARITY &&
+                    score > (best?.score ?? 0)
+                )
+                    best = { sourcePath: path, blockId: c.blockId, score };
+            }
+        }
+        return best;
+    }
+
+    // Startup check: tell the user (and the sync log) when masters need attention.
+    async reportMasterProblems() {
+        const { orphans, unexported, missingIds } = await this.checkMasters();
+        for (const o of orphans)
+            this.log(
+                "warn",
+                `Orphaned entry ${o.sourcePath}#^${o.blockId}: ${ORPHAN_REASONS[o.reason]}`,
+                o.master,
+            );
+        const total = orphans.length + unexported.length + missingIds.length;
+        if (!total) return;
+        new Notice(
+            `Callout exporter: ${orphans.length} orphaned master entr${orphans.length === 1 ? "y" : "ies"}, ${unexported.length} callout(s) not exported, ${missingIds.length} note(s) with callouts missing IDs. Run "Check masters" to fix them.`,
+        );
+    }
+
+    // Open a master at an entry's link line (from lookupBlock / masterLines).
+    async openMasterEntry(masterPath, line) {
+        await this.app.workspace.openLinkText(masterPath, "", false, {
+            eState: line != null ? { line } : undefined,
+        });
+    }
+
+    /** The masters holding sourcePath#^blockId now, with the entry's line. */
+    async findMasterEntries(sourcePath, blockId) {
+        const found = [];
+        for (const master of this.masters) {
+            if (!this.masterMayHaveSource(master.path, sourcePath)) continue;
+            const af = this.app.vault.getAbstractFileByPath(master.path);
+            if (!(af instanceof TFile)) continue;
+            const { chunks } = parseMasterChunks(
+                await this.readNote(af),
+                master.layout,
+            );
+            const chunk = chunks.find(
+                (ch) => ch.sourcePath === sourcePath && ch.blockId === blockId,
+            );
+            if (chunk) found.push({ path: master.path, line: chunk.start });
+        }
+        return found;
+    }
+
+    // With several masters (e.g. a view besides the main one), ask which.
+    async jumpToMasterEntry(sourcePath, blockId) {
+        const found = await this.findMasterEntries(sourcePath, blockId);
+        if (!found.length) {
+            new Notice(`Callout exporter: ^${blockId} isn't in a master yet.`);
+            return;
+        }
+        if (found.length === 1) {
+            await this.openMasterEntry(found[0].path, found[0].line);
+            return;
+        }
+        new MasterEntrySuggestModal(this.app, this, found).open();
+    }
+
+    async jumpToSource(chunk, masterPath) {
+        const af = this.app.vault.getAbstractFileByPath(chunk.sourcePath);
+        if (!isMarkdownFile(af)) {
+            new Notice(
+                `Callout exporter: "${chunk.sourcePath}" no longer exists (see "Check masters").`,
+            );
+            return;
+        }
+        await this.app.workspace.openLinkText(
+            `${chunk.sourcePath}#^${chunk.blockId}`,
+            masterPath,
+            false,
+        );
+    }
+
+    /**
+     * Move a callout (with its ^id) from `file` to the end of `target`. Its
+     * master entries are repointed in place, so they keep their position and
+     * any master edits not yet synced.
+     */
+    async moveCallout(file, blockId, target) {
+        this.labelBackup(`Move ^${blockId} to ${target.path}`);
+        const lines = (await this.readNote(file)).split(/\r?\n/);
+        const range = findCalloutBlockRange(lines, blockId);
+        if (!range) {
+            new Notice(
+                `Callout exporter: ^${blockId} is no longer in "${file.path}".`,
+            );
+            return;
+        }
+        const block = lines.slice(range.start, range.end).join("\n");
+
+        // Take one separating blank line along, as removals do.
+        let end = range.end;
+        if (
+            String(lines[end] ?? "").trim() === "" &&
+            (range.start === 0 || String(lines[range.start - 1]).trim() === "")
+        )
+            end++;
+        lines.splice(range.start, end - range.start);
+        await this.writeFileIfChanged(file, lines.join("\n"));
+
+        const targetText = (await this.readNote(target)).trimEnd();
+        await this.writeFileIfChanged(
+            target,
+            targetText ? `${targetText}\n\n${block}\n` : `${block}\n`,
+        );
+
+        const snaps = this.syncState.snapshots;
+        const key = snapshotKey(file.path, blockId);
+        if (key in snaps) {
+            snaps[snapshotKey(target.path, blockId)] = snaps[key];
+            delete snaps[key];
+            this.requestSaveState();
+        }
+        await this.repointMasterEntries(file.path, target, blockId);
+        this.log("info", `Moved ^${blockId} to ${target.path}`, file.path);
+
+        // The source first, so the ID has left it before the target claims it.
+        await this.syncFromSource(file);
+        await this.syncFromSource(target);
+    }
+
+    async openMasterCheck() {
+        const report = await this.checkMasters();
+        new MasterCheckModal(this.app, this, report).open();
+    }
+
+    /**
+     * Rewrite a master without the entries `drop` matches, optionally adding
+     * `add` (an entry for composeMaster). The new entry set becomes the
+     * master's baseline, so the change isn't taken as a deletion to push to
+     * the notes.
+     */
+    async rewriteMasterEntries(masterPath, drop, add = null) {
+        const master = this.mastersByPath.get(masterPath);
+        const af = this.app.vault.getAbstractFileByPath(masterPath);
+        if (!master || !(af instanceof TFile)) return null;
+
+        const { lines, chunks, headerEnd, inbox } = parseMasterChunks(
+            await this.readNote(af),
+            master.layout,
+        );
+        const entries = chunks
+            .filter((ch) => !drop(ch))
+            .map((ch) => this.chunkToEntry(lines, ch));
+        if (add) entries.push(add);
+
+        const out = this.composeMaster(
+            master.layout,
+            lines.slice(0, headerEnd),
+            entries,
+            inbox?.lines,
+        );
+        await this.writeFileIfChanged(af, out);
+        this.recordMasterEntries(
+            masterPath,
+            parseMasterChunks(out, master.layout).chunks,
+        );
+        return af;
+    }
+
+    async removeOrphan(orphan) {
+        this.labelBackup(`Remove orphaned entry ^${orphan.blockId}`);
+        await this.rewriteMasterEntries(
+            orphan.master,
+            (ch) =>
+                ch.sourcePath === orphan.sourcePath &&
+                ch.blockId === orphan.blockId,
+        );
+        delete this.syncState.snapshots[
+            snapshotKey(orphan.sourcePath, orphan.blockId)
+        ];
+        this.requestSaveState();
+        this.log(
+            "info",
+            `Removed orphaned entry ${orphan.sourcePath}#^${orphan.blockId}`,
+            orphan.master,
+        );
+    }
+
+    /**
+     * Point an orphaned entry at `target` ({ sourcePath, blockId }). The
+     * entry keeps its (possibly edited) body, which is then synced to the
+     * note like any master edit; an entry the target already had is replaced.
+     */
+    async relinkOrphan(orphan, target) {
+        const master = this.mastersByPath.get(orphan.master);
+        const file = this.app.vault.getAbstractFileByPath(target.sourcePath);
+        const callout = this.calloutIndex.files[
+            target.sourcePath
+        ]?.callouts.find((c) => c.blockId === target.blockId);
+        if (!master || !(file instanceof TFile) || !callout) {
+            new Notice("Callout exporter: the relink target no longer exists.");
+            return;
+        }
+        this.labelBackup(`Relink ^${orphan.blockId}`);
+
+        // Baseline = the note's body, so the entry's body counts as a master edit.
+        this.setSnapshot(
+            target.sourcePath,
+            target.blockId,
+            exportedBodyLines(callout, this.layoutsByType.get(callout.type)),
+        );
+        const masterFile = await this.rewriteMasterEntries(
+            orphan.master,
+            (ch) =>
+                (ch.sourcePath === orphan.sourcePath &&
+                    ch.blockId === orphan.blockId) ||
+                (ch.sourcePath === target.sourcePath &&
+                    ch.blockId === target.blockId),
+            {
+                sourcePath: target.sourcePath,
+                blockId: target.blockId,
+                bodyLines: orphan.bodyLines,
+                chunkLines: buildMasterChunkLines(
+                    {
+                        display: file.basename,
+                        sourcePath: target.sourcePath,
+                        blockId: target.blockId,
+                        bodyLines: orphan.bodyLines,
+                        mtime: file.stat?.mtime,
+                        title: callout.title,
+                        type: callout.type,
+                    },
+                    master.layout,
+                ),
+            },
+        );
+        delete this.syncState.snapshots[
+            snapshotKey(orphan.sourcePath, orphan.blockId)
+        ];
+        this.log(
+            "info",
+            `Relinked ${orphan.sourcePath}#^${orphan.blockId} to ${target.sourcePath}#^${target.blockId}`,
+            orphan.master,
+        );
+        if (masterFile) await this.syncFromMaster(callout.type, masterFile);
+    }
+
+    // Unexported callouts and missing IDs are both fixed by a source sync.
+    async reexportNotes(paths) {
+        this.labelBackup("Re-export from check");
+        for (const path of new Set(paths)) {
+            const af = this.app.vault.getAbstractFileByPath(path);
+            if (af instanceof TFile) await this.syncFromSource(af);
+        }
+    }
+
+    /**
+     * Group key and sort value for one master entry, derived from its source
+     * note (path, stat, frontmatter) and, for due dates, its body.
+     */
+    entryMeta(sourcePath, bodyLines, layout) {
+        const af = this.app.vault.getAbstractFileByPath(sourcePath);
+        const file = af instanceof TFile ? af : null;
+        const fm = file
+            ? this.app.metadataCache.getFileCache(file)?.frontmatter
+            : null;
+
+        let group = null;
+        switch (layout?.groupBy) {
+            case "folder":
+                group = parentFolderPath(sourcePath) || "/";
+                break;
+            case "note":
+                group = file ? file.basename : sourcePath;
+                break;
+            case "tag":
+                group = parseFrontMatterTags(fm)?.[0] ?? null;
+                break;
+        }
+
+        const tasks = layout?.taskAware ? parseTaskInfo(bodyLines) : null;
+
+        let sortValue = sourcePath;
+        switch (layout?.sortBy) {
+            case "ctime":
+                sortValue = file?.stat?.ctime ?? null;
+                break;
+            case "mtime":
+                sortValue = file?.stat?.mtime ?? null;
+                break;
+            case "due": {
+                const fmDue = fm?.due ? String(fm.due).slice(0, 10) : null;
+                sortValue = (tasks?.due ?? parseDueDate(bodyLines)) || fmDue;
+                break;
+            }
+            case "priority":
+                sortValue = tasks ? tasks.priority : null;
+                break;
+        }
+
+        const completed = !!tasks?.allDone;
+        return { group, sortValue, completed };
+    }
+
+    chunkToEntry(lines, ch) {
+        return {
+            sourcePath: ch.sourcePath,
+            blockId: ch.blockId,
+            bodyLines: ch.bodyLines,
+            // Keep other entries byte-for-byte; only their position may change.
+            chunkLines: [
+                ...trimTrailingBlankLines(lines.slice(ch.start, ch.end)),
+                "",
+            ],
+        };
+    }
+
+    composeMaster(layout, headerLines, entries, inboxLines = []) {
+        const withMeta = entries.map((e) => ({
+            ...e,
+            ...this.entryMeta(e.sourcePath, e.bodyLines, layout),
+        }));
+        let out = layoutMasterLines(
+            headerLines,
+            withMeta,
+            layout,
+            inboxLines,
+        ).join("\n");
+        // Normalize to end with newline (Obsidian-friendly)
+        if (!out.endsWith("\n")) out += "\n";
+        return out;
+    }
+
+    async updateMaster(master, sourceFile, calloutsOfType, pushed = null) {
+        const { path: masterPath, layout } = master;
+        const af = this.app.vault.getAbstractFileByPath(masterPath);
+        if (!(af instanceof TFile)) return;
+
+        // Most notes have nothing in most masters: skip reading those.
+        if (
+            !calloutsOfType.length &&
+            !this.masterMayHaveSource(masterPath, sourceFile.path)
+        )
+            return;
+
+        const masterText = await this.readNote(af);
+        const { lines, chunks, headerEnd, inbox } = parseMasterChunks(
+            masterText,
+            layout,
+        );
+
+        const touchesMaster =
+            calloutsOfType.length ||
+            chunks.some((c) => c.sourcePath === sourceFile.path);
+        if (!touchesMaster) return;
+
+        // Chunks of other notes stay as they are; this note's chunks are
+        // replaced by the current callouts (removed in source → removed here).
+        const entries = chunks
+            .filter((c) => c.sourcePath !== sourceFile.path)
+            .map((c) => this.chunkToEntry(lines, c));
+
+        const currentById = new Map(
+            chunks
+                .filter((c) => c.sourcePath === sourceFile.path)
+                .map((c) => [c.blockId, c]),
+        );
+
+        for (const desired of calloutsOfType) {
+            const current = currentById.get(desired.blockId);
+            const bodyLines = this.resolveMasterBody(
+                sourceFile.path,
+                desired,
+                current,
+                masterPath,
+                pushed,
+            );
+
+            // Master-only edit: keep the chunk as-is, syncFromMaster pushes it out.
+            if (bodyLines === null) {
+                entries.push(this.chunkToEntry(lines, current));
+                continue;
+            }
+
+            entries.push({
+                sourcePath: sourceFile.path,
+                blockId: desired.blockId,
+                bodyLines,
+                chunkLines: buildMasterChunkLines(
+                    {
+                        display: sourceFile.basename,
+                        sourcePath: sourceFile.path,
+                        blockId: desired.blockId,
+                        bodyLines,
+                        mtime: sourceFile.stat?.mtime,
+                        title: desired.title,
+                        type: desired.type,
+                    },
+                    layout,
+                ),
+            });
+        }
+
+        const out = this.composeMaster(
+            layout,
+            lines.slice(0, headerEnd),
+            entries,
+            inbox?.lines,
+        );
+        await this.writeFileIfChanged(af, out);
+    }
+
+    /**
+     * Three-way decision for a source → master sync, against the body hash
+     * recorded when the entry was last in sync. Returns the master body to
+     * write, or null to keep the master chunk untouched.
+     *
+     * `pushed` maps entries just written back from another master to the
+     * body hashes that count as "not edited here" (the old baseline and that
+     * master's body); anything else in this master is a conflicting edit.
+     */
+    resolveMasterBody(sourcePath, callout, chunk, masterPath, pushed = null) {
+        const sourceBody = callout.bodyLines;
+        if (!chunk) {
+            this.setSnapshot(sourcePath, callout.blockId, sourceBody);
+            return sourceBody;
+        }
+
+        // Unresolved conflict: only refresh its source side.
+        if (hasConflictMarkers(chunk.bodyLines)) {
+            this.setSnapshot(sourcePath, callout.blockId, sourceBody);
+            return replaceConflictSource(chunk.bodyLines, sourceBody);
+        }
+
+        const base = this.getSnapshot(sourcePath, callout.blockId);
+        const sourceHash = hashLines(sourceBody);
+        const masterHash = hashLines(chunk.bodyLines);
+
+        const seen = pushed?.get(snapshotKey(sourcePath, callout.blockId));
+        if (seen) {
+            this.setSnapshot(sourcePath, callout.blockId, sourceBody);
+            if (masterHash === sourceHash || seen.includes(masterHash))
+                return sourceBody;
+            this.notifyConflict(sourcePath, callout.blockId, masterPath);
+            return buildConflictLines(sourceBody, chunk.bodyLines);
+        }
+        const sourceChanged = base !== undefined && sourceHash !== base;
+        const masterChanged = base !== undefined && masterHash !== base;
+
+        if (masterChanged && sourceHash !== masterHash) {
+            if (!sourceChanged) return null;
+
+            this.setSnapshot(sourcePath, callout.blockId, sourceBody);
+            this.notifyConflict(sourcePath, callout.blockId, masterPath);
+            return buildConflictLines(sourceBody, chunk.bodyLines);
+        }
+
+        this.setSnapshot(sourcePath, callout.blockId, sourceBody);
+        return sourceBody;
+    }
+
+    async syncFromMaster(type, masterFile) {
+        const master = this.mastersByPath.get(masterFile.path) ?? {
+            path: masterFile.path,
+            type,
+            types: [type],
+            role: "main",
+            layout: this.layoutsByType.get(type),
+        };
+        const masterText = await this.readNote(masterFile);
+        const { chunks } = parseMasterChunks(masterText, master.layout);
+        const removed = this.detectMasterRemovals(masterFile.path, chunks);
+
+        // Group entries by source file to apply multiple updates in one write per file.
+        const bySource = new Map();
+        for (const ch of chunks) {
+            if (!bySource.has(ch.sourcePath)) bySource.set(ch.sourcePath, []);
+            bySource.get(ch.sourcePath).push(ch);
+        }
+
+        const conflicts = new Map();
+        const merged = new Set();
+        const pushed = new Map();
+        const retyped = new Set();
+        const shared = this.masters.some(
+            (m) =>
+                m !== master && m.types.some((t) => master.types.includes(t)),
+        );
+
+        for (const [sourcePath, entries] of bySource.entries()) {
+            const af = this.app.vault.getAbstractFileByPath(sourcePath);
+            if (!(af instanceof TFile)) {
+                this.log(
+                    "warn",
+                    `${entries.length} entr${entries.length === 1 ? "y points" : "ies point"} at a missing note (see "Check masters")`,
+                    masterFile.path,
+                );
+                continue;
+            }
+
+            const srcText = await this.readNote(af);
+            const updated = this.applyMasterEditsToSource(
+                srcText,
+                master.types,
+                entries,
+                {
+                    sourcePath,
+                    conflicts,
+                    merged,
+                    pushed,
+                    layout: master.layout,
+                    retyped,
+                },
+            );
+
+            if (updated !== srcText) {
+                await this.writeFileIfChanged(af, updated);
+                // Merged toggles bring source-side text into the master, and
+                // checking the last box may move the entry to the Completed
+                // section or the archive master (and back).
+                // A retyped callout moves to its new type's masters. The
+                // archive's own layout has completedMode "none", so ask the
+                // types.
+                const resync =
+                    master.types.some(
+                        (t) =>
+                            this.layoutsByType.get(t)?.completedMode !== "none",
+                    ) ||
+                    entries.some((e) => {
+                        const key = snapshotKey(sourcePath, e.blockId);
+                        return merged.has(key) || retyped.has(key);
+                    });
+                // Other masters showing these callouts (views, or the main
+                // master for a view) get the edit too.
+                if (resync || shared)
+                    await this.syncFromSource(af, {
+                        pushed,
+                        skipMaster: resync ? null : master.path,
+                    });
+            }
+        }
+
+        if (conflicts.size) await this.markMasterConflicts(master, conflicts);
+
+        await this.processMasterInbox(master, masterFile);
+
+        if (!removed.length) return;
+        if (master.role === "view") {
+            // A view is a filtered projection: an entry deleted there comes
+            // back instead of touching its source.
+            const paths = new Set(
+                removed.map((key) => parseSnapshotKey(key)?.sourcePath),
+            );
+            for (const path of paths) {
+                const af = path && this.app.vault.getAbstractFileByPath(path);
+                if (isMarkdownFile(af)) await this.syncFromSource(af);
+            }
+            return;
+        }
+        for (const t of master.types)
+            await this.propagateMasterRemovals(t, removed);
+    }
+
+    /**
+     * Apply the type's delete policy to source callouts whose entries were
+     * removed from the master. With confirmDeletes it is only asked for once
+     * the queued operation is done (see confirmMasterRemovals).
+     */
+    async propagateMasterRemovals(type, removedKeys) {
+        const policy = typeSettings(this.settings, type).deletePolicy;
+        if (!DELETE_POLICY_OPTIONS[policy] || policy === "ignore") return;
+        // In a preview the diff modal is the confirmation.
+        if (this.settings.confirmDeletes && !this._preview) {
+            this._pendingRemovals.push({ type, removedKeys });
+            return;
+        }
+        await this.applyMasterRemovals(type, policy, removedKeys);
+    }
+
+    /**
+     * Ask about master deletions outside the queue, so syncs go on while the
+     * modal is open, then apply them or put the entries back as one queued
+     * operation each. Entries back in the master by then are left alone.
+     */
+    async confirmMasterRemovals(removals) {
+        for (const { type, removedKeys } of removals) {
+            const policy = typeSettings(this.settings, type).deletePolicy;
+            if (!DELETE_POLICY_OPTIONS[policy] || policy === "ignore") continue;
+            const keys = removedKeys.filter(
+                (key) => !this.isInTypeMaster(type, key),
+            );
+            const { targets } = await this.resolveRemovalTargets(type, keys);
+            if (!targets.length) continue;
+
+            const items = targets.flatMap(({ file, callouts }) =>
+                callouts.map((c) => ({
+                    sourcePath: file.path,
+                    blockId: c.blockId,
+                    preview: c.bodyLines.find((l) => l.trim()) ?? "",
+                })),
+            );
+            const ok = await new ConfirmDeletionModal(
+                this.app,
+                policy,
+                items,
+            ).openAndWait();
+
+            await this.serialize(async () => {
+                const current = keys.filter(
+                    (key) => !this.isInTypeMaster(type, key),
+                );
+                if (ok) {
+                    this.labelBackup(`Delete policy "${policy}"`);
+                    await this.applyMasterRemovals(type, policy, current);
+                    return;
+                }
+                // Put the entries back into the master from their sources.
+                const { targets } = await this.resolveRemovalTargets(
+                    type,
+                    current,
+                );
+                for (const { file } of targets) await this.syncFromSource(file);
+            });
+        }
+    }
+
+    // Whether a main or archive master of `type` lists the callout again.
+    isInTypeMaster(type, key) {
+        return this.masters.some(
+            (m) =>
+                m.role !== "view" &&
+                m.types.includes(type) &&
+                this.masterLines.get(m.path)?.has(key),
+        );
+    }
+
+    // Removed keys → callouts that still exist in their source notes.
+    async resolveRemovalTargets(type, removedKeys) {
+        const bySource = new Map();
+        for (const key of removedKeys) {
+            const parsed = parseSnapshotKey(key);
+            if (!parsed) continue;
+            const af = this.app.vault.getAbstractFileByPath(parsed.sourcePath);
+            if (!isMarkdownFile(af)) continue;
+            if (!bySource.has(af.path))
+                bySource.set(af.path, { file: af, ids: new Set() });
+            bySource.get(af.path).ids.add(parsed.blockId);
+        }
+
+        const targets = [];
+        for (const { file, ids } of bySource.values()) {
+            const text = await this.readNote(file);
+            const { callouts } = this.extractCallouts(text, [type], {
+                autoInsertIds: false,
+            });
+            const found = callouts.filter((c) => ids.has(c.blockId));
+            if (found.length) targets.push({ file, callouts: found });
+        }
+        return { bySource, targets };
+    }
+
+    /**
+     * Apply `policy` to the source callouts of removed master entries.
+     * Originals go to the trash first so the whole batch can be undone.
+     */
+    async applyMasterRemovals(type, policy, removedKeys) {
+        const { bySource, targets } = await this.resolveRemovalTargets(
+            type,
+            removedKeys,
+        );
+        const batch = { time: Date.now(), type, policy, entries: [] };
+        for (const { file } of targets) {
+            const text = await this.readNote(file);
+            const { callouts } = this.extractCallouts(text, [type], {
+                autoInsertIds: false,
+            });
+            const ids = bySource.get(file.path).ids;
+            const lines = text.split(/\r?\n/);
+
+            // Bottom-to-top so earlier line indexes stay valid.
+            const hits = callouts
+                .filter((c) => ids.has(c.blockId))
+                .sort((a, b) => b.startLine - a.startLine);
+            for (const c of hits) {
+                const end = (c.idLine ?? c.quoteEndLine - 1) + 1;
+                batch.entries.push({
+                    sourcePath: file.path,
+                    blockId: c.blockId,
+                    startLine: c.startLine,
+                    lines: lines.slice(c.startLine, end),
+                });
+                applyDeletePolicy(lines, c, policy);
+            }
+            if (policy === "remove") this.dropSnapshots(file.path, hits);
+
+            await this.writeFileIfChanged(file, lines.join("\n"));
+            // Our own writes don't trigger syncs (see onModify); drop the
+            // callouts from views and the other masters here.
+            await this.syncFromSource(file);
+        }
+
+        if (!batch.entries.length) return;
+        if (this._preview) {
+            this._preview.trash.push(batch);
+            return;
+        }
+        await this.pushTrashBatch(batch);
+        new Notice(
+            `Callout exporter: applied "${policy}" to ${batch.entries.length} source callout(s). Run "Undo last master deletion" to restore.`,
+        );
+    }
+
+    dropSnapshots(sourcePath, callouts) {
+        for (const c of callouts)
+            delete this.syncState.snapshots[snapshotKey(sourcePath, c.blockId)];
+        this.requestSaveState();
+    }
+
+    async pushTrashBatch(batch) {
+        const trash = await this.readPluginJson(TRASH_FILE, []);
+        trash.push(batch);
+        await this.writePluginJson(TRASH_FILE, trash.slice(-TRASH_MAX_BATCHES));
+    }
+
+    async undoLastDeletion() {
+        this.labelBackup("Undo master deletion");
+        const trash = await this.readPluginJson(TRASH_FILE, []);
+        const batch = trash.pop();
+        if (!batch) {
+            new Notice("Callout exporter: nothing to undo.");
+            return;
+        }
+
+        const bySource = new Map();
+        for (const e of batch.entries) {
+            if (!bySource.has(e.sourcePath)) bySource.set(e.sourcePath, []);
+            bySource.get(e.sourcePath).push(e);
+        }
+
+        let restored = 0;
+        for (const [sourcePath, entries] of bySource.entries()) {
+            const af = this.app.vault.getAbstractFileByPath(sourcePath);
+            if (!isMarkdownFile(af)) continue;
+
+            const lines = (await this.readNote(af)).split(/\r?\n/);
+            // Top-to-bottom by original position so re-inserted blocks land
+            // where they were.
+            entries.sort((a, b) => a.startLine - b.startLine);
+            for (const e of entries) {
+                const range = findCalloutBlockRange(lines, e.blockId);
+                if (range) {
+                    lines.splice(
+                        range.start,
+                        range.end - range.start,
+                        ...e.lines,
+                    );
+                } else {
+                    const at = Math.min(e.startLine, lines.length);
+                    const before =
+                        at > 0 && String(lines[at - 1]).trim() !== "";
+                    const after =
+                        at < lines.length && String(lines[at]).trim() !== "";
+                    lines.splice(
+                        at,
+                        0,
+                        ...(before ? [""] : []),
+                        ...e.lines,
+                        ...(after ? [""] : []),
+                    );
+                }
+                restored++;
+            }
+
+            await this.writeFileIfChanged(af, lines.join("\n"));
+            // Our own writes don't trigger syncs (see onModify); push to the
+            // masters here.
+            await this.syncFromSource(af);
+        }
+
+        await this.writePluginJson(TRASH_FILE, trash);
+        new Notice(`Callout exporter: restored ${restored} callout(s).`);
+    }
+
+    /**
+     * Resolve where a new inbox item goes: the linked note (must exist) or
+     * the type's default inbox note (created on demand).
+     */
+    async resolveInboxTarget(type, linkpath, masterPath) {
+        const masters = new Set(this.mastersByPath.keys());
+
+        if (linkpath) {
+            const dest = this.app.metadataCache.getFirstLinkpathDest(
+                linkpath,
+                masterPath,
+            );
+            if (!isMarkdownFile(dest) || masters.has(dest.path)) return null;
+            return dest;
+        }
+
+        let path = String(typeSettings(this.settings, type).inboxNote || "");
+        path = path.trim();
+        if (!path) return null;
+        if (!path.toLowerCase().endsWith(".md")) path += ".md";
+        path = normalizePath(path);
+        if (masters.has(path)) return null;
+
+        const af = this.app.vault.getAbstractFileByPath(path);
+        if (af) return isMarkdownFile(af) ? af : null;
+        return this.createNote(path);
+    }
+
+    /**
+     * Create an empty note (and its folders) for a sync to write into. A
+     * preview only records the create; it happens if the note's write is
+     * picked (see applyDryRun).
+     */
+    async createNote(path) {
+        const preview = this._preview;
+        if (preview) {
+            const pending = preview.pending.get(path);
+            if (pending) return pending.file;
+            // Stands in for the note until the preview is applied.
+            const file = Object.assign(Object.create(TFile.prototype), {
+                path,
+                name: path.split("/").pop(),
+                basename: noteNameFromPath(path),
+                extension: "md",
+            });
+            preview.pending.set(path, {
+                file,
+                before: "",
+                after: "",
+                create: true,
+            });
+            return file;
+        }
+
+        if (!(await this.ensureFolderExists(parentFolderPath(path))))
+            return null;
+        try {
+            return await this.app.vault.create(path, "");
+        } catch (e) {
+            if (!isAlreadyExistsError(e)) throw e;
+            const existing = this.app.vault.getAbstractFileByPath(path);
+            return isMarkdownFile(existing) ? existing : null;
+        }
+    }
+
+    /**
+     * Turn items typed under the master's inbox heading into callouts in
+     * their target notes, then replace them with regular linked entries.
+     * Items whose target can't be resolved stay in the inbox.
+     */
+    async processMasterInbox(master, masterFile) {
+        const { type, layout } = master;
+        if (!layout?.inboxHeading) return;
+
+        const masterText = await this.readNote(masterFile);
+        const { lines, chunks, headerEnd, inbox } = parseMasterChunks(
+            masterText,
+            layout,
+        );
+        if (!inbox) return;
+
+        const items = parseInboxItems(inbox.lines);
+        if (!items.length) return;
+
+        const byTarget = new Map();
+        const leftover = [];
+        for (const item of items) {
+            const target = await this.resolveInboxTarget(
+                type,
+                item.linkpath,
+                masterFile.path,
+            );
+            if (!target) {
+                leftover.push(item);
+                continue;
+            }
+            if (!byTarget.has(target.path))
+                byTarget.set(target.path, { file: target, items: [] });
+            byTarget.get(target.path).items.push(item);
+        }
+
+        if (leftover.length && !this._preview) {
+            new Notice(
+                `Callout exporter: ${leftover.length} inbox item(s) in "${masterFile.path}" have no resolvable target note; left them in the inbox.`,
+            );
+        }
+        if (!byTarget.size) return;
+
+        const entries = chunks.map((ch) => this.chunkToEntry(lines, ch));
+
+        for (const { file, items: targetItems } of byTarget.values()) {
+            const blocks = [];
+            const taken = collectBlockIds(await this.readNote(file));
+            for (const item of targetItems) {
+                const blockId = generateUniqueId(
+                    (id) => taken.has(id) || this.blockIndex.has(id),
+                );
+                taken.add(blockId);
+                const calloutLines = buildCalloutLines(
+                    type,
+                    item.bodyLines,
+                    blockId,
+                );
+                blocks.push(calloutLines.join("\n"));
+
+                // Body as it will be read back from the source callout.
+                const bodyLines = calloutLines
+                    .slice(1, -2)
+                    .map((l) => unquoteLine(l));
+                this.setSnapshot(file.path, blockId, bodyLines);
+
+                entries.push({
+                    sourcePath: file.path,
+                    blockId,
+                    bodyLines,
+                    chunkLines: buildMasterChunkLines(
+                        {
+                            display: file.basename,
+                            sourcePath: file.path,
+                            blockId,
+                            bodyLines,
+                            mtime: file.stat?.mtime,
+                        },
+                        layout,
+                    ),
+                });
+            }
+
+            const srcText = await this.readNote(file);
+            const trimmed = srcText.replace(/\s+$/, "");
+            const out = `${trimmed ? `${trimmed}\n\n` : ""}${blocks.join("\n\n")}\n`;
+            await this.writeFileIfChanged(file, out);
+
+            // Views of this type may want the new callouts too.
+            if (
+                this.masters.some(
+                    (m) => m.role === "view" && m.types.includes(type),
+                )
+            )
+                await this.syncFromSource(file, { skipMaster: master.path });
+        }
+
+        // Keep unresolved items, each under the note link it was typed below.
+        const inboxLines = [];
+        let lastLink = null;
+        for (const item of leftover) {
+            if (item.linkLine && item.linkLine !== lastLink)
+                inboxLines.push(item.linkLine);
+            lastLink = item.linkLine;
+            inboxLines.push(...item.bodyLines, "");
+        }
+
+        const out = this.composeMaster(
+            layout,
+            lines.slice(0, headerEnd),
+            entries,
+            inboxLines,
+        );
+        await this.writeFileIfChanged(masterFile, out);
+    }
+
+    /**
+     * Replace conflicting master entries with both versions between
+     * conflict markers. `conflicts`: snapshotKey → source body lines.
+     */
+    async markMasterConflicts(master, conflicts) {
+        const { path: masterPath, layout } = master;
+        const af = this.app.vault.getAbstractFileByPath(masterPath);
+        if (!(af instanceof TFile)) return;
+
+        const masterText = await this.readNote(af);
+        const { lines, chunks } = parseMasterChunks(masterText, layout);
+
+        const ops = [];
+        for (const ch of chunks) {
+            const key = snapshotKey(ch.sourcePath, ch.blockId);
+            if (!conflicts.has(key)) continue;
+
+            const sf = this.app.vault.getAbstractFileByPath(ch.sourcePath);
+            ops.push({
+                start: ch.start,
+                end: ch.end,
+                insert: buildMasterChunkLines(
+                    {
+                        display: ch.display,
+                        sourcePath: ch.sourcePath,
+                        blockId: ch.blockId,
+                        bodyLines: buildConflictLines(
+                            conflicts.get(key),
+                            ch.bodyLines,
+                        ),
+                        mtime: sf instanceof TFile ? sf.stat?.mtime : null,
+                    },
+                    layout,
+                ),
+            });
+            this.notifyConflict(ch.sourcePath, ch.blockId, masterPath);
+        }
+
+        ops.sort((a, b) => b.start - a.start);
+        for (const op of ops)
+            lines.splice(op.start, op.end - op.start, ...op.insert);
+
+        let out = lines.join("\n");
+        if (!out.endsWith("\n")) out += "\n";
+        await this.writeFileIfChanged(af, out);
+    }
+
+    /**
+     * Write master bodies back into their source callouts. With a
+     * `sourcePath`, each entry is checked against its last-synced snapshot:
+     * entries whose source also changed are left alone and reported through
+     * `conflicts` (snapshotKey → current source body) instead. For task-aware
+     * types, a master edit that only toggled checkboxes is merged into the
+     * changed source item by item, matched by position (reported through
+     * `merged`); a toggle with no matching item is a conflict. Entries that
+     * were written back are reported through `pushed` for the other masters
+     * (see resolveMasterBody). Entries whose type tag now names another
+     * tracked type are reported through `retyped`.
+     */
+    applyMasterEditsToSource(
+        sourceText,
+        types,
+        entries,
+        {
+            sourcePath = null,
+            conflicts = null,
+            merged = null,
+            pushed = null,
+            layout = null,
+            retyped = null,
+        } = {},
+    ) {
+        // Parse callouts with IDs but do NOT auto-insert here (avoid surprise edits from master sync).
+        const { text, callouts } = this.extractCallouts(
+            sourceText,
+            [].concat(types),
+            { autoInsertIds: false },
+        );
+        const lines = text.split(/\r?\n/);
+
+        const byId = new Map(callouts.map((c) => [c.blockId, c]));
+
+        // Apply replacements bottom-to-top to preserve line indexes
+        const ops = [];
+        for (const e of entries) {
+            const c = byId.get(e.blockId);
+            if (!c) {
+                this.log(
+                    "warn",
+                    `Skipped master entry ^${e.blockId}: block ID not found in the source`,
+                    sourcePath,
+                );
+                continue;
+            }
+
+            // Unresolved conflict in the master: nothing to write back yet.
+            if (hasConflictMarkers(e.bodyLines)) continue;
+
+            // Compare like with like: the source as its type exports it.
+            const typeLayout = this.layoutsByType.get(c.type) ?? layout;
+            const sourceBody = exportedBodyLines(c, typeLayout);
+            let bodyLines = e.bodyLines;
+            const key = snapshotKey(sourcePath ?? e.sourcePath, e.blockId);
+
+            if (sourcePath != null) {
+                const base = this.getSnapshot(sourcePath, e.blockId);
+                const sourceHash = hashLines(sourceBody);
+                const masterHash = hashLines(e.bodyLines);
+
+                const togglesOnly =
+                    typeLayout?.taskAware &&
+                    hashLines(normalizeCheckboxes(e.bodyLines)) ===
+                        this.getTextSnapshot(sourcePath, e.blockId);
+
+                if (sourceHash === masterHash) {
+                    this.setSnapshot(sourcePath, e.blockId, e.bodyLines);
+                } else if (
+                    base !== undefined &&
+                    sourceHash !== base &&
+                    masterHash !== base &&
+                    togglesOnly
+                ) {
+                    // Toggle the same items in the (changed) source body.
+                    // The baseline becomes the master body, so the follow-up
+                    // source sync sees only the source as changed.
+                    const toggled = mergeCheckboxStates(
+                        sourceBody,
+                        e.bodyLines,
+                        this.getSnapshotStates(sourcePath, e.blockId),
+                    );
+                    if (!toggled) {
+                        // A toggled item was reworded, removed or toggled
+                        // back in the source: both sides edited.
+                        if (conflicts) {
+                            conflicts.set(key, sourceBody);
+                            this.setSnapshot(sourcePath, e.blockId, sourceBody);
+                        }
+                        continue;
+                    }
+                    bodyLines = toggled;
+                    merged?.add(key);
+                    pushed?.set(key, [base, masterHash]);
+                    this.setSnapshot(sourcePath, e.blockId, e.bodyLines);
+                } else if (base !== undefined && sourceHash !== base) {
+                    // Source moved on: stale master (leave it to syncFromSource)
+                    // or both sides edited (conflict).
+                    if (masterHash !== base && conflicts) {
+                        conflicts.set(key, sourceBody);
+                        this.setSnapshot(sourcePath, e.blockId, sourceBody);
+                    }
+                    continue;
+                } else {
+                    pushed?.set(
+                        key,
+                        [base, masterHash].filter((h) => h !== undefined),
+                    );
+                    this.setSnapshot(sourcePath, e.blockId, bodyLines);
+                }
+            }
+
+            // Title and fold come back from the header mirror line, or from
+            // the link text in "link" title mode. The mirror (or type tag)
+            // also carries the identifier the callout is written with.
+            let header = { ...c, type: c.calloutType ?? c.type };
+            const mirror =
+                typeLayout?.titleMode === "line" || isTypeTagged(c, typeLayout)
+                    ? parseHeaderMirror(bodyLines[0])
+                    : null;
+            if (mirror) {
+                bodyLines = bodyLines.slice(1);
+                if (this.canonicalType(mirror.type)) header.type = mirror.type;
+            }
+            if (typeLayout?.titleMode === "line") {
+                if (mirror)
+                    header = {
+                        ...header,
+                        fold: mirror.fold,
+                        title: mirror.title,
+                    };
+            } else if (
+                layout?.titleMode === "link" &&
+                typeLayout?.titleMode === "link" &&
+                e.display != null
+            ) {
+                const name = noteNameFromPath(sourcePath ?? e.sourcePath);
+                if (
+                    sanitizeLinkText(e.display) !== linkTitleText(c.title, name)
+                )
+                    header = {
+                        ...header,
+                        title: e.display === name ? "" : e.display,
+                    };
+            }
+
+            // Entries from the card view carry the title separately.
+            if (e.title != null) header = { ...header, title: e.title };
+
+            const headerChanged =
+                header.fold !== c.fold ||
+                header.title !== c.title ||
+                header.type !== (c.calloutType ?? c.type);
+            if (this.canonicalType(header.type) !== c.type) retyped?.add(key);
+
+            // Replace the callout from its header line to the end of the blockquote
+            const insert = [
+                headerChanged ? buildCalloutHeader(header) : lines[c.startLine],
+                ...quoteBodyLines(bodyLines, c.prefix),
+            ];
+            const current = lines.slice(c.startLine, c.quoteEndLine);
+            if (insert.join("\n") === current.join("\n")) continue;
+
+            ops.push({
+                start: c.startLine,
+                end: c.quoteEndLine,
+                insert,
+            });
+        }
+
+        ops.sort((a, b) => b.start - a.start);
+        for (const op of ops) {
+            lines.splice(op.start, op.end - op.start, ...op.insert);
+        }
+
+        return lines.join("\n");
+    }
+
+    async rebuildAllMasters() {
+        this.labelBackup("Rebuild all masters");
+        // Don't race the initial index build over the same notes.
+        await this._indexing;
+        const all = this.app.vault.getMarkdownFiles();
+        const masters = new Set(this.mastersByPath.keys());
+
+        // Every tracked callout in the vault, with its note for view filters
+        const gathered = [];
+
+        for (const f of all) {
+            if (masters.has(f.path)) continue;
+
+            const note = this.noteInfo(f);
+            const included = this.typesForNote(note);
+            if (!included.length) continue;
+
+            // Unchanged notes come from the index; the rest are read (and
+            // get their missing IDs).
+            let callouts;
+            const rec = this.indexRecord(f, included);
+            if (rec && !rec.missingIds) {
+                callouts = rec.callouts;
+            } else {
+                const raw = await this.readNote(f);
+                const extracted = this.extractCallouts(raw, included, {
+                    autoInsertIds: true,
+                    insertIdFor: this.idInsertFilter(f),
+                });
+                callouts = extracted.callouts;
+                if (extracted.text !== raw) {
+                    this.logInsertedIds(f.path, raw, extracted.text);
+                    await this.writeFileIfChanged(f, extracted.text, {
+                        undoable: false,
+                    });
+                }
+                this.setIndexRecord(f, included, callouts);
+            }
+
+            // A callout still waiting for its ^id is exported once it has
+            // one (see syncFromSource).
+            for (const c of callouts.filter((c) => c.blockId)) {
+                const bodyLines = exportedBodyLines(
+                    c,
+                    this.layoutsByType.get(c.type),
+                );
+                // A rebuild is source-wins: it resets the sync baseline.
+                this.setSnapshot(f.path, c.blockId, bodyLines);
+                gathered.push({
+                    type: c.type,
+                    note,
+                    display: f.basename,
+                    sourcePath: f.path,
+                    blockId: c.blockId,
+                    bodyLines,
+                    mtime: f.stat?.mtime,
+                    title: c.title,
+                });
+            }
+        }
+
+        // Write masters
+        for (const master of this.masters) {
+            const { path: mPath, layout } = master;
+            const af = this.app.vault.getAbstractFileByPath(mPath);
+            if (!(af instanceof TFile)) continue;
+            const entries = gathered.filter((e) =>
+                this.masterAccepts(master, e, e.note),
+            );
+
+            // Keep whatever header the master already has; otherwise seed it from the template.
+            const current = await this.readNote(af);
+            const {
+                lines: currentLines,
+                headerEnd,
+                inbox,
+            } = parseMasterChunks(current, layout);
+            const existingHeader = trimTrailingBlankLines(
+                currentLines.slice(0, headerEnd),
+            );
+            const header = existingHeader.length
+                ? existingHeader
+                : renderMasterHeader(layout);
+
+            const out = this.composeMaster(
+                layout,
+                header,
+                entries.map((e) => ({
+                    ...e,
+                    chunkLines: buildMasterChunkLines(e, layout),
+                })),
+                inbox?.lines,
+            );
+            await this.writeFileIfChanged(af, out);
+        }
+
+        if (!this._preview) {
+            new Notice("Callout Master Export: rebuilt master files.");
+            this.requestAutoExport();
+        }
+    }
+
+    async onRename(file, oldPath) {
+        this.labelBackup(`Rename ${oldPath}`);
+        this.moveSnapshots(oldPath, file.path);
+        this.moveIndexRecord(oldPath, file.path);
+        await this.repointMasterEntries(oldPath, file);
+    }
+
+    /**
+     * Point master links at oldPath (only ^blockId's, if given) to `file`,
+     * with its display name.
+     */
+    async repointMasterEntries(oldPath, file, blockId = null) {
+        const oldName = noteNameFromPath(oldPath);
+        const moves = (ch) =>
+            ch.sourcePath === oldPath &&
+            (blockId == null || ch.blockId === blockId);
+
+        for (const { path: masterPath, layout } of this.masters) {
+            const af = this.app.vault.getAbstractFileByPath(masterPath);
+            if (!(af instanceof TFile)) continue;
+
+            const masterText = await this.readNote(af);
+            const { lines, chunks, headerEnd, inbox } = parseMasterChunks(
+                masterText,
+                layout,
+            );
+            if (!chunks.some(moves)) continue;
+
+            // Re-render moved entries; the layout may regroup them (e.g. by folder).
+            const entries = chunks.map((ch) => {
+                if (!moves(ch)) return this.chunkToEntry(lines, ch);
+                return {
+                    sourcePath: file.path,
+                    blockId: ch.blockId,
+                    bodyLines: ch.bodyLines,
+                    chunkLines: buildMasterChunkLines(
+                        {
+                            display: file.basename,
+                            sourcePath: file.path,
+                            blockId: ch.blockId,
+                            bodyLines: ch.bodyLines,
+                            mtime: file.stat?.mtime,
+                            // Link text that isn't the old note name is a callout title.
+                            title: ch.display === oldName ? "" : ch.display,
+                        },
+                        layout,
+                    ),
+                };
+            });
+
+            const out = this.composeMaster(
+                layout,
+                lines.slice(0, headerEnd),
+                entries,
+                inbox?.lines,
+            );
+            await this.writeFileIfChanged(af, out);
+        }
+    }
+
+    async onDelete(deletedPath) {
+        this.labelBackup(`Delete ${deletedPath}`);
+        this.moveSnapshots(deletedPath, null);
+        this.moveIndexRecord(deletedPath, null);
+
+        // Remove chunks referencing deletedPath from all masters.
+        for (const { path: masterPath, layout } of this.masters) {
+            const af = this.app.vault.getAbstractFileByPath(masterPath);
+            if (!(af instanceof TFile)) continue;
+
+            const masterText = await this.readNote(af);
+            const { lines, chunks, headerEnd, inbox } = parseMasterChunks(
+                masterText,
+                layout,
+            );
+            if (!chunks.some((ch) => ch.sourcePath === deletedPath)) continue;
+
+            // Recomposing also drops group headings that became empty.
+            const entries = chunks
+                .filter((ch) => ch.sourcePath !== deletedPath)
+                .map((ch) => this.chunkToEntry(lines, ch));
+
+            const out = this.composeMaster(
+                layout,
+                lines.slice(0, headerEnd),
+                entries,
+                inbox?.lines,
+            );
+            await this.writeFileIfChanged(af, out);
+        }
+    }
+}
+
+/**
+ * Editor side of the sync: while a note is open its buffer is the source of
+ * truth (registered in plugin.editorViews), edits sync as you type, and each
+ * tracked callout header gets a badge linking to its master entries.
+ */
+function calloutEditorExtension(plugin) {
+    return ViewPlugin.fromClass(
+        class {
+            constructor(view) {
+                this.view = view;
+                this.path = null;
+                this.track();
+                this.decorations = this.badges();
+                this.requestBadges = debounce(
+                    () => {
+                        this.decorations = this.badges();
+                        this.view.dispatch({});
+                    },
+                    BADGE_REFRESH_DEBOUNCE_MS,
+                    true,
+                );
+            }
+
+            // Keep plugin.editorViews in step with the file this editor shows.
+            track() {
+                const file = this.view.state.field(
+                    editorInfoField,
+                    false,
+                )?.file;
+                const path = isMarkdownFile(file) ? file.path : null;
+                if (path === this.path) return;
+                this.untrack();
+                this.path = path;
+                if (path) plugin.editorViews.set(path, this.view);
+            }
+
+            untrack() {
+                if (
+                    this.path &&
+                    plugin.editorViews.get(this.path) === this.view
+                )
+                    plugin.editorViews.delete(this.path);
+            }
+
+            update(update) {
+                const before = this.path;
+                this.track();
+                if (!this.path) return;
+                const own = update.transactions.some((tr) =>
+                    tr.annotation(syncWriteAnnotation),
+                );
+                // Masters sync when saved (see onModify): mid-edit, a sync
+                // would rewrite the buffer under the cursor and turn
+                // half-typed inbox items into callouts.
+                const live = !plugin.mastersByPath.has(this.path);
+                if (live && update.docChanged && !own) {
+                    plugin.scheduleSync(this.path, { live: true });
+                } else if (
+                    live &&
+                    update.selectionSet &&
+                    plugin.calloutIndex.files[this.path]?.missingIds
+                ) {
+                    // The cursor may have left a callout still waiting for its ^id.
+                    plugin.scheduleSync(this.path, { live: true });
+                }
+                if (before !== this.path) {
+                    this.decorations = this.badges();
+                } else if (update.docChanged) {
+                    // Re-parsing the note on every keystroke is too slow for
+                    // long notes.
+                    this.decorations = this.decorations.map(update.changes);
+                    this.requestBadges();
+                }
+            }
+
+            destroy() {
+                this.requestBadges.cancel();
+                this.untrack();
+            }
+
+            badges() {
+                const builder = new RangeSetBuilder();
+                const file = this.path
+                    ? plugin.app.vault.getAbstractFileByPath(this.path)
+                    : null;
+                if (
+                    !(file instanceof TFile) ||
+                    plugin.mastersByPath.has(file.path)
+                )
+                    return builder.finish();
+                const types = plugin.typesForNote(plugin.noteInfo(file));
+                if (!types.length) return builder.finish();
+
+                const { doc } = this.view.state;
+                const { callouts } = plugin.extractCallouts(
+                    doc.toString(),
+                    types,
+                    { autoInsertIds: false },
+                );
+                for (const c of callouts) {
+                    const masters = c.blockId
+                        ? (plugin
+                              .lookupBlock(c.blockId)
+                              .find((e) => e.sourcePath === file.path)
+                              ?.masters ?? [])
+                        : [];
+                    const line = doc.line(c.startLine + 1);
+                    builder.add(
+                        line.to,
+                        line.to,
+                        Decoration.widget({
+                            widget: new CalloutBadgeWidget(plugin, c, masters),
+                            side: 1,
+                        }),
+                    );
+                }
+                return builder.finish();
+            }
+        },
+        { decorations: (v) => v.decorations },
+    );
+}
+
+/** Inline badge after a callout header: its master entries, or why none. */
+class CalloutBadgeWidget extends WidgetType {
+    constructor(plugin, callout, masters) {
+        super();
+        this.plugin = plugin;
+        this.blockId = callout.blockId;
+        this.masters = masters;
+    }
+
+    eq(other) {
+        return (
+            other.blockId === this.blockId &&
+            other.masters.map((m) => `${m.path}:${m.line}`).join() ===
+                this.masters.map((m) => `${m.path}:${m.line}`).join()
+        );
+    }
+
+    toDOM() {
+        const el = document.createElement("span");
+        el.className = "callout-exporter-badge";
+        if (!this.blockId) {
+            el.textContent = "no ID yet";
+            el.title = "Gets a block ID once the cursor leaves the callout.";
+            return el;
+        }
+        if (!this.masters.length) {
+            el.textContent = `^${this.blockId}`;
+            el.title = "Not in a master yet.";
+            return el;
+        }
+        for (const m of this.masters) {
+            const link = el.createEl("a", {
+                text: `→ ${noteNameFromPath(m.path)}`,
+                href: "#",
+            });
+            link.title = `Open the entry in ${m.path}`;
+            link.addEventListener("mousedown", (evt) => {
+                evt.preventDefault();
+                this.plugin
+                    .openMasterEntry(m.path, m.line)
+                    .catch((e) =>
+                        this.plugin.reportError(
+                            "Opening master entry",
+                            e,
+                            m.path,
+                        ),
+                    );
+            });
+        }
+        return el;
+    }
+
+    ignoreEvent() {
+        return true;
+    }
+}
+
+class ConfirmDeletionModal extends Modal {
+    constructor(app, policy, items) {
+        super(app);
+        this.policy = policy;
+        this.items = items;
+        this.result = false;
+    }
+
+    openAndWait() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.open();
+        });
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        this.titleEl.setText("Apply master deletions to source notes?");
+
+        contentEl.createEl("p", {
+            text: `These entries were removed from the master. Policy: ${DELETE_POLICY_OPTIONS[this.policy]}.`,
+        });
+
+        const list = contentEl.createEl("ul");
+        for (const item of this.items) {
+            list.createEl("li", {
+                text: `${item.sourcePath} ^${item.blockId}: ${item.preview}`,
+            });
+        }
+
+        new Setting(contentEl)
+            .addButton((btn) =>
+                btn.setButtonText("Keep in source").onClick(() => this.close()),
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText("Apply")
+                    .setWarning()
+                    .onClick(() => {
+                        this.result = true;
+                        this.close();
+                    }),
+            );
+    }
+
+    onClose() {
+        this.contentEl.empty();
+        this.resolve?.(this.result);
+    }
+}
+
+/**
+ * Results of "Check masters", with a fix per problem. Every fix re-runs the
+ * check and redraws the list.
+ */
+class MasterCheckModal extends Modal {
+    constructor(app, plugin, report) {
+        super(app);
+        this.plugin = plugin;
+        this.report = report;
+    }
+
+    onOpen() {
+        this.render();
+    }
+
+    async run(action) {
+        try {
+            await this.plugin.serialize(action);
+        } catch (e) {
+            this.plugin.reportError("Fixing masters", e);
+        }
+        this.report = await this.plugin.checkMasters();
+        this.render();
+    }
+
+    render() {
+        const { contentEl } = this;
+        const { orphans, unexported, missingIds } = this.report;
+        contentEl.empty();
+        this.titleEl.setText("Check masters");
+
+        if (!orphans.length && !unexported.length && !missingIds.length) {
+            contentEl.createEl("p", {
+                text: "Masters and notes agree. Nothing to fix.",
+            });
+            return;
+        }
+
+        const preview = (bodyLines) =>
+            bodyLines.join(" ").replace(/\s+/g, " ").trim().slice(0, 80);
+
+        if (orphans.length) {
+            contentEl.createEl("h3", { text: "Orphaned entries" });
+            for (const o of orphans) {
+                const setting = new Setting(contentEl)
+                    .setName(`${o.sourcePath} ^${o.blockId}`)
+                    .setDesc(
+                        `${o.master}: ${ORPHAN_REASONS[o.reason]}. ${preview(o.bodyLines)}`,
+                    );
+                if (o.candidate) {
+                    const { sourcePath, blockId, score } = o.candidate;
+                    setting.addButton((btn) =>
+                        btn
+                            .setButtonText(
+                                `Relink to ${sourcePath} ^${blockId} (${Math.round(score * 100)}%)`,
+                            )
+                            .setCta()
+                            .onClick(() =>
+                                this.run(() =>
+                                    this.plugin.relinkOrphan(o, o.candidate),
+                                ),
+                            ),
+                    );
+                }
+                setting.addButton((btn) =>
+                    btn
+                        .setButtonText("Remove")
+                        .setWarning()
+                        .onClick(() =>
+                            this.run(() => this.plugin.removeOrphan(o)),
+                        ),
+                );
+            }
+        }
+
+        if (unexported.length) {
+            contentEl.createEl("h3", { text: "Callouts not in their master" });
+            for (const u of unexported) {
+                new Setting(contentEl)
+                    .setName(`${u.sourcePath} ^${u.blockId}`)
+                    .setDesc(
+                        `Missing from ${u.master}. ${preview(u.bodyLines)}`,
+                    )
+                    .addButton((btn) =>
+                        btn
+                            .setButtonText("Re-export")
+                            .onClick(() =>
+                                this.run(() =>
+                                    this.plugin.reexportNotes([u.sourcePath]),
+                                ),
+                            ),
+                    );
+            }
+        }
+
+        if (missingIds.length) {
+            contentEl.createEl("h3", { text: "Callouts without block IDs" });
+            for (const path of missingIds) {
+                new Setting(contentEl)
+                    .setName(path)
+                    .addButton((btn) =>
+                        btn
+                            .setButtonText("Add IDs and export")
+                            .onClick(() =>
+                                this.run(() =>
+                                    this.plugin.reexportNotes([path]),
+                                ),
+                            ),
+                    );
+            }
+        }
+
+        if (unexported.length || missingIds.length) {
+            new Setting(contentEl).addButton((btn) =>
+                btn
+                    .setButtonText("Re-export all")
+                    .onClick(() =>
+                        this.run(() =>
+                            this.plugin.reexportNotes([
+                                ...unexported.map((u) => u.sourcePath),
+                                ...missingIds,
+                            ]),
+                        ),
+                    ),
+            );
+        }
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+/**
+ * Every tracked callout as a card (source link, title, body), filtered by
+ * type, checkbox state and a search. Cards are edited in place and saved
+ * straight into the source note, so there are no master link lines to break.
+ */
+class CalloutCardsView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.filter = { type: "", checkboxState: "any", search: "" };
+        // Key of the card being edited; re-renders leave it alone.
+        this.editing = null;
+        // Owns the current render's Markdown children; replaced per render.
+        this.renderComponent = null;
+    }
+
+    getViewType() {
+        return VIEW_TYPE_CALLOUT_CARDS;
+    }
+
+    getDisplayText() {
+        return "Callout cards";
+    }
+
+    getIcon() {
+        return "layout-grid";
+    }
+
+    async onOpen() {
+        await this.plugin._indexing;
+        this.renderToolbar();
+        this.listEl = this.contentEl.createDiv({
+            cls: "callout-exporter-cards",
+        });
+        this.render();
+    }
+
+    renderToolbar() {
+        const bar = this.contentEl.createDiv({
+            cls: "callout-exporter-cards-toolbar",
+        });
+
+        const type = bar.createEl("select");
+        type.createEl("option", { text: "All types", value: "" });
+        for (const t of this.plugin.trackedTypes)
+            type.createEl("option", { text: t, value: t });
+        type.addEventListener("change", () => {
+            this.filter.type = type.value;
+            this.render();
+        });
+
+        const state = bar.createEl("select");
+        for (const [value, text] of Object.entries(CHECKBOX_STATE_OPTIONS))
+            state.createEl("option", { text, value });
+        state.addEventListener("change", () => {
+            this.filter.checkboxState = state.value;
+            this.render();
+        });
+
+        const search = bar.createEl("input", {
+            type: "search",
+            placeholder: "Search title, text or path",
+        });
+        search.addEventListener("input", () => {
+            this.filter.search = search.value.trim().toLowerCase();
+            this.render();
+        });
+    }
+
+    cards() {
+        const { type, checkboxState, search } = this.filter;
+        const out = [];
+        for (const [t, records] of this.plugin.exportRecords()) {
+            if (type && t !== type) continue;
+            for (const r of records) {
+                if (
+                    checkboxState === "open" &&
+                    r.checkbox !== "open" &&
+                    r.checkbox !== "partial"
+                )
+                    continue;
+                if (checkboxState === "done" && r.checkbox !== "done") continue;
+                if (
+                    search &&
+                    ![r.title, r.body, r.path].some((v) =>
+                        v.toLowerCase().includes(search),
+                    )
+                )
+                    continue;
+                out.push(r);
+            }
+        }
+        return out;
+    }
+
+    render() {
+        if (!this.listEl || this.editing) return;
+        const list = this.listEl;
+        list.empty();
+        if (this.renderComponent) this.removeChild(this.renderComponent);
+        this.renderComponent = new Component();
+        this.addChild(this.renderComponent);
+
+        const cards = this.cards();
+        if (!cards.length) {
+            list.createEl("p", { text: "No callouts match." });
+            return;
+        }
+        for (const card of cards) this.renderCard(list.createDiv(), card);
+    }
+
+    renderCard(el, card) {
+        el.empty();
+        el.className = `callout-exporter-card callout-exporter-card-${card.type}`;
+
+        const head = el.createDiv({ cls: "callout-exporter-card-head" });
+        const link = head.createEl("a", {
+            text: `${card.path} ^${card.blockId}`,
+            href: "#",
+        });
+        link.addEventListener("click", (evt) => {
+            evt.preventDefault();
+            this.app.workspace
+                .openLinkText(`${card.path}#^${card.blockId}`, "", false)
+                .catch((e) =>
+                    this.plugin.reportError("Opening callout", e, card.path),
+                );
+        });
+        const edit = head.createEl("button", { text: "Edit" });
+        edit.addEventListener("click", () => this.editCard(el, card));
+
+        if (card.title)
+            el.createEl("h4", {
+                cls: "callout-exporter-card-title",
+                text: card.title,
+            });
+        const body = el.createDiv({ cls: "callout-exporter-card-body" });
+        MarkdownRenderer.render(
+            this.app,
+            card.body,
+            body,
+            card.path,
+            this.renderComponent,
+        ).catch((e) =>
+            this.plugin.reportError("Rendering callout", e, card.path),
+        );
+    }
+
+    editCard(el, card) {
+        this.editing = snapshotKey(card.path, card.blockId);
+        el.empty();
+        el.className = "callout-exporter-card is-editing";
+
+        const title = el.createEl("input", {
+            type: "text",
+            placeholder: "Title",
+            value: card.title,
+        });
+        const body = el.createEl("textarea", {
+            cls: "callout-exporter-card-editor",
+        });
+        body.value = card.body;
+        body.rows = Math.max(3, card.body.split("\n").length + 1);
+
+        const done = () => {
+            this.editing = null;
+            this.render();
+        };
+        const save = async () => {
+            const saved = await this.plugin.serialize(() =>
+                this.plugin.saveCardEdit(card, {
+                    title: title.value.trim(),
+                    bodyLines: trimTrailingBlankLines(
+                        body.value.split(/\r?\n/),
+                    ),
+                    base: card.body.split("\n"),
+                }),
+            );
+            if (!saved) {
+                new Notice(
+                    `Callout exporter: ${card.path} ^${card.blockId} changed or disappeared since you started editing. Your text is kept; copy it and reopen the card.`,
+                );
+                return;
+            }
+            done();
+        };
+
+        const buttons = el.createDiv({ cls: "callout-exporter-card-buttons" });
+        buttons
+            .createEl("button", { text: "Cancel" })
+            .addEventListener("click", done);
+        const saveBtn = buttons.createEl("button", {
+            text: "Save",
+            cls: "mod-cta",
+        });
+        saveBtn.addEventListener("click", () =>
+            save().catch((e) => this.plugin.reportError("Saving card", e)),
+        );
+        body.addEventListener("keydown", (evt) => {
+            if (evt.key === "Escape") done();
+            else if (evt.key === "Enter" && (evt.ctrlKey || evt.metaKey))
+                saveBtn.click();
+        });
+        body.focus();
+    }
+}
+
+/**
+ * Side panel listing the plugin's sync log, newest first. Paths open the
+ * note they refer to.
+ */
+class SyncLogView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+    }
+
+    getViewType() {
+        return VIEW_TYPE_SYNC_LOG;
+    }
+
+    getDisplayText() {
+        return "Callout sync log";
+    }
+
+    getIcon() {
+        return "list";
     }
 
-    registerVaultListeners() {
-        this.registerEvent(
-            this.app.vault.on("modify", (file) => {
-                if (!isMarkdownFile(file)) return;
-                if (this._suppressedPaths.has(file.path)) return;
-                this.scheduleSync(file.path);
-            }),
-        );
+    async onOpen() {
+        this.render();
+    }
 
-        this.registerEvent(
-            this.app.vault.on("rename", (file, oldPath) => {
-                if (!isMarkdownFile(file)) return;
-                this.onRename(file, oldPath).catch(console.error);
-            }),
-        );
+    render() {
+        const el = this.contentEl;
+        el.empty();
 
-        this.registerEvent(
-            this.app.vault.on("delete", (file) => {
-                if (!isMarkdownFile(file)) return;
-                this.onDelete(file.path).catch(console.error);
-            }),
-        );
+        const bar = el.createDiv({ cls: "callout-exporter-log-toolbar" });
+        const err = this.plugin.lastError;
+        bar.createSpan({
+            text: err
+                ? `Last error ${moment(err.time).format("HH:mm:ss")}: ${err.message}`
+                : "No errors.",
+        });
+        const clear = bar.createEl("button", { text: "Clear" });
+        clear.addEventListener("click", () => {
+            this.plugin.syncLog = [];
+            this.plugin.lastError = null;
+            this.plugin.updateStatusBar();
+            this.render();
+        });
+
+        const log = this.plugin.syncLog;
+        if (!log.length) {
+            el.createEl("p", { text: "Nothing synced yet." });
+            return;
+        }
+        const list = el.createDiv({ cls: "callout-exporter-log" });
+        for (let i = log.length - 1; i >= 0; i--) {
+            const entry = log[i];
+            const row = list.createDiv({
+                cls: `callout-exporter-log-entry mod-${entry.level}`,
+            });
+            row.createSpan({
+                cls: "callout-exporter-log-time",
+                text: moment(entry.time).format("HH:mm:ss"),
+            });
+            row.appendText(" ");
+            if (entry.level !== "info")
+                row.createEl("strong", { text: `${entry.level}: ` });
+            row.appendText(entry.message);
+            if (!entry.path) continue;
+            row.appendText(" — ");
+            const link = row.createEl("a", { text: entry.path, href: "#" });
+            link.addEventListener("click", (evt) => {
+                evt.preventDefault();
+                this.app.workspace
+                    .openLinkText(entry.path, "", false)
+                    .catch((e) =>
+                        this.plugin.reportError("Opening note", e, entry.path),
+                    );
+            });
+        }
     }
+}
 
-    scheduleSync(path) {
-        const prev = this._debounceTimers.get(path);
-        if (prev) window.clearTimeout(prev);
+/** Pick a backup batch (newest first) to restore. */
+class BackupBatchSuggestModal extends FuzzySuggestModal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.setPlaceholder("Restore the files of which write batch?");
+    }
 
-        const t = window.setTimeout(() => {
-            this._debounceTimers.delete(path);
-            this.syncPath(path).catch(console.error);
-        }, SYNC_DEBOUNCE_MS);
+    getItems() {
+        return this.plugin.backupIndex.slice().reverse();
+    }
 
-        this._debounceTimers.set(path, t);
+    getItemText(batch) {
+        const when = moment(batch.time).format("YYYY-MM-DD HH:mm:ss");
+        const files = batch.files.map((f) => f.path);
+        const shown = files.slice(0, 3).join(", ");
+        const more = files.length > 3 ? ` +${files.length - 3} more` : "";
+        return `${when} · ${batch.label} · ${shown}${more}`;
     }
 
-    async syncPath(path) {
-        const af = this.app.vault.getAbstractFileByPath(path);
-        if (!(af instanceof TFile)) return;
+    onChooseItem(batch) {
+        this.plugin
+            .serialize(() => this.plugin.restoreBackup(batch))
+            .catch((e) => this.plugin.reportError("Restore", e));
+    }
+}
 
-        // Is this one of the masters?
-        for (const [type, masterPath] of this.masterPathsByType.entries()) {
-            if (af.path === masterPath) {
-                await this.syncFromMaster(type, af);
-                return;
-            }
-        }
+/** Pick which master to open when a callout has entries in several. */
+class MasterEntrySuggestModal extends FuzzySuggestModal {
+    constructor(app, plugin, entries) {
+        super(app);
+        this.plugin = plugin;
+        this.entries = entries;
+        this.setPlaceholder("Open the entry in which master?");
+    }
 
-        // Otherwise, source note
-        await this.syncFromSource(af);
+    getItems() {
+        return this.entries;
     }
 
-    async writeFileIfChanged(file, newText) {
-        if (!isMarkdownFile(file)) return;
-        const oldText = await this.app.vault.cachedRead(file);
-        if (oldText === newText) return;
+    getItemText(entry) {
+        return entry.path;
+    }
 
-        this._suppressedPaths.add(file.path);
-        try {
-            await this.app.vault.modify(file, newText);
-        } finally {
-            window.setTimeout(
-                () => this._suppressedPaths.delete(file.path),
-                SUPPRESS_MS,
+    onChooseItem(entry) {
+        this.plugin
+            .openMasterEntry(entry.path, entry.line)
+            .catch((e) =>
+                this.plugin.reportError("Opening master entry", e, entry.path),
             );
-        }
     }
+}
 
-    insertCallout(editor, type) {
-        const id = generateId();
-        const isTodo = type === "todo";
-
-        // Per Obsidian guidance for structured blocks, keep blank line before and after ^id. :contentReference[oaicite:1]{index=1}
-        const calloutStart = `> [!${type}]`;
-        const firstLine = isTodo ? `> - [ ] ` : `> - `;
-        const snippet = `${calloutStart}\n${firstLine}\n\n^${id}\n\n`;
+/** Pick the tracked type a callout changes to. */
+class CalloutTypeSuggestModal extends FuzzySuggestModal {
+    constructor(app, plugin, current, onChoose) {
+        super(app);
+        this.plugin = plugin;
+        this.current = current;
+        this.onChoose = onChoose;
+        this.setPlaceholder(`Change [!${current}] to which type?`);
+    }
 
-        const cursor = editor.getCursor();
-        editor.replaceRange(snippet, cursor);
+    getItems() {
+        return this.plugin.trackedTypes.filter((t) => t !== this.current);
+    }
 
-        // Place cursor at the start of the item text:
-        // "> - [ ] |" or "> - |"
-        const lineOffset = 1; // second inserted line
-        const chOffset = isTodo ? `> - [ ] `.length : `> - `.length;
-        editor.setCursor({ line: cursor.line + lineOffset, ch: chOffset });
+    getItemText(type) {
+        return type;
     }
 
-    async syncFromSource(file) {
-        const trackedTypes = this.trackedTypes;
-        if (!trackedTypes.length) return;
+    onChooseItem(type) {
+        this.onChoose(type);
+    }
+}
 
-        const raw = await this.app.vault.cachedRead(file);
-        const { text: patched, callouts } = extractTrackedCallouts(
-            raw,
-            trackedTypes,
-            {
-                autoInsertIds: true,
-            },
-        );
+/** Pick the note a callout moves to (any note but masters and its own). */
+class MoveCalloutSuggestModal extends FuzzySuggestModal {
+    constructor(app, plugin, file, blockId) {
+        super(app);
+        this.plugin = plugin;
+        this.file = file;
+        this.blockId = blockId;
+        this.setPlaceholder(`Move ^${blockId} to which note?`);
+    }
 
-        // If we inserted missing ids, write back the source file first (and continue with patched content).
-        if (patched !== raw) {
-            await this.writeFileIfChanged(file, patched);
-        }
+    getItems() {
+        return this.app.vault
+            .getMarkdownFiles()
+            .filter(
+                (f) =>
+                    f.path !== this.file.path &&
+                    !this.plugin.mastersByPath.has(f.path),
+            );
+    }
 
-        // Group callouts by type
-        const byType = new Map(trackedTypes.map((t) => [t, []]));
-        for (const c of callouts) {
-            if (byType.has(c.type)) byType.get(c.type).push(c);
-        }
+    getItemText(file) {
+        return file.path;
+    }
 
-        // Update relevant master files *in place* for this one source note.
-        for (const [type, list] of byType.entries()) {
-            await this.updateMasterForSourceFile(type, file, list);
-        }
+    onChooseItem(target) {
+        this.plugin
+            .serialize(() =>
+                this.plugin.moveCallout(this.file, this.blockId, target),
+            )
+            .catch((e) => this.plugin.reportError("Moving a callout", e));
     }
+}
 
-    async updateMasterForSourceFile(type, sourceFile, calloutsOfType) {
-        const masterPath = this.masterPathsByType.get(type);
-        if (!masterPath) return;
+/**
+ * Per-file diffs of a previewed operation. Resolves to the set of paths to
+ * write, or null when cancelled.
+ */
+class PreviewChangesModal extends Modal {
+    constructor(app, title, changes) {
+        super(app);
+        this.title = title;
+        this.changes = changes;
+        this.selected = new Set(changes.map((c) => c.path));
+        this.result = null;
+    }
 
-        const af = this.app.vault.getAbstractFileByPath(masterPath);
-        if (!(af instanceof TFile)) return;
+    openAndWait() {
+        return new Promise((resolve) => {
+            this.resolve = resolve;
+            this.open();
+        });
+    }
 
-        const masterText = await this.app.vault.cachedRead(af);
-        const parsed = parseMasterChunks(masterText);
-        let { lines, chunks } = parsed;
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        this.titleEl.setText(`Preview: ${this.title}`);
 
-        // Existing chunks belonging to this source file
-        const existing = chunks.filter((c) => c.sourcePath === sourceFile.path);
+        const masters = this.changes.filter((c) => c.role === "master").length;
+        contentEl.createEl("p", {
+            text: `${this.changes.length} file(s) would change: ${masters} master(s), ${this.changes.length - masters} source note(s). Untick a file to leave it alone.`,
+        });
 
-        const desiredById = new Map();
-        for (const c of calloutsOfType) desiredById.set(c.blockId, c);
+        for (const change of this.changes) {
+            const diff = diffLines(change.before, change.after);
+            const added = diff.filter((d) => d.op === "+").length;
+            const removed = diff.filter((d) => d.op === "-").length;
 
-        const ops = [];
+            new Setting(contentEl)
+                .setName(change.path)
+                .setDesc(`${change.role}: +${added} −${removed} lines`)
+                .addToggle((toggle) =>
+                    toggle.setValue(true).onChange((value) => {
+                        if (value) this.selected.add(change.path);
+                        else this.selected.delete(change.path);
+                    }),
+                );
 
-        // Replace or remove existing chunks for this file
-        for (const ch of existing) {
-            const desired = desiredById.get(ch.blockId);
-            if (!desired) {
-                // Removed in source → remove in master
-                ops.push({ start: ch.start, end: ch.end, insert: [] });
-            } else {
-                const newChunkLines = buildMasterChunkLines({
-                    display: sourceFile.basename,
-                    sourcePath: sourceFile.path,
-                    blockId: desired.blockId,
-                    bodyLines: desired.bodyLines,
-                });
-                ops.push({
-                    start: ch.start,
-                    end: ch.end,
-                    insert: newChunkLines,
+            const details = contentEl.createEl("details");
+            details.createEl("summary", { text: "Show diff" });
+            const pre = details.createEl("pre", {
+                attr: { style: "white-space: pre-wrap; font-size: smaller;" },
+            });
+            for (const d of diff) {
+                const color =
+                    d.op === "+"
+                        ? "var(--text-success)"
+                        : d.op === "-"
+                          ? "var(--text-error)"
+                          : "var(--text-muted)";
+                pre.createEl("div", {
+                    text: `${d.op} ${d.line}`,
+                    attr: { style: `color: ${color};` },
                 });
             }
         }
 
-        // Add new chunks that don't exist yet
-        const existingIds = new Set(existing.map((c) => c.blockId));
-        const additions = [];
-        for (const desired of calloutsOfType) {
-            if (!existingIds.has(desired.blockId)) {
-                additions.push(
-                    ...buildMasterChunkLines({
-                        display: sourceFile.basename,
-                        sourcePath: sourceFile.path,
-                        blockId: desired.blockId,
-                        bodyLines: desired.bodyLines,
+        new Setting(contentEl)
+            .addButton((btn) =>
+                btn.setButtonText("Cancel").onClick(() => this.close()),
+            )
+            .addButton((btn) =>
+                btn.setButtonText("Apply selected").onClick(() => {
+                    this.result = new Set(this.selected);
+                    this.close();
+                }),
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText("Apply all")
+                    .setCta()
+                    .onClick(() => {
+                        this.result = new Set(this.changes.map((c) => c.path));
+                        this.close();
                     }),
-                );
-            }
-        }
+            );
+    }
 
-        // Apply ops bottom-to-top to preserve indexes
-        ops.sort((a, b) => b.start - a.start);
-        for (const op of ops) {
-            lines.splice(op.start, op.end - op.start, ...op.insert);
-        }
+    onClose() {
+        this.contentEl.empty();
+        this.resolve?.(this.result);
+    }
+}
 
-        if (additions.length) {
-            // Ensure at least one blank line before appending for cleanliness
-            if (lines.length && String(lines[lines.length - 1]).trim() !== "")
-                lines.push("");
-            lines.push(...additions);
-        }
+class CalloutExporterSettingTab extends PluginSettingTab {
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+    }
 
-        let out = lines.join("\n");
-        // Normalize to end with newline (Obsidian-friendly)
-        if (!out.endsWith("\n")) out += "\n";
+    /**
+     * Save a settings change and apply it. With `apply: false` it is only
+     * saved; see applyOnBlur.
+     */
+    async updateSettings(mutate, { redisplay = false, apply = true } = {}) {
+        mutate(this.plugin.settings);
+        await this.plugin.saveSettings();
+        if (apply) this.plugin.requestApplySettings();
+        if (redisplay) this.display();
+    }
 
-        await this.writeFileIfChanged(af, out);
+    // Show why a value is rejected in place of the setting's description.
+    showSettingError(setting, desc, error) {
+        setting.setDesc(error ?? desc);
+        setting.descEl.toggleClass("mod-warning", !!error);
     }
 
-    async syncFromMaster(type, masterFile) {
-        const masterText = await this.app.vault.cachedRead(masterFile);
-        const { chunks } = parseMasterChunks(masterText);
+    // Path and template fields are saved as you type but applied (creating
+    // folders and master files) once you leave the field, so half-typed
+    // values aren't.
+    applyOnBlur(text) {
+        text.inputEl.addEventListener("blur", () =>
+            this.plugin.requestApplySettings(),
+        );
+        return text;
+    }
 
-        // Group entries by source file to apply multiple updates in one write per file.
-        const bySource = new Map();
-        for (const ch of chunks) {
-            if (!bySource.has(ch.sourcePath)) bySource.set(ch.sourcePath, []);
-            bySource.get(ch.sourcePath).push(ch);
-        }
+    updateTypeSettings(type, patch, opts) {
+        return this.updateSettings((s) => {
+            s.types[type] = { ...typeSettings(s, type), ...patch };
+        }, opts);
+    }
 
-        for (const [sourcePath, entries] of bySource.entries()) {
-            const af = this.app.vault.getAbstractFileByPath(sourcePath);
-            if (!(af instanceof TFile)) continue;
+    /**
+     * Folder, tag and frontmatter rules shared by tracked types and views.
+     * `update(patch)` saves a change.
+     */
+    displayNoteFilterSettings(containerEl, values, update) {
+        new Setting(containerEl)
+            .setName("Include folders")
+            .setDesc(
+                "Only scan notes in these folders, one glob per line, e.g. Projects/**. Leave empty for the whole vault. Rebuild after changing any of these rules.",
+            )
+            .addTextArea((text) =>
+                text
+                    .setPlaceholder("Projects")
+                    .setValue(values.includeFolders)
+                    .onChange((value) => update({ includeFolders: value })),
+            );
 
-            const srcText = await this.app.vault.cachedRead(af);
-            const updated = this.applyMasterEditsToSource(
-                srcText,
-                type,
-                entries,
+        new Setting(containerEl)
+            .setName("Exclude folders")
+            .setDesc("Never scan notes in these folders, one glob per line.")
+            .addTextArea((text) =>
+                text
+                    .setPlaceholder("Templates\nArchive/**")
+                    .setValue(values.excludeFolders)
+                    .onChange((value) => update({ excludeFolders: value })),
             );
 
-            if (updated !== srcText) {
-                await this.writeFileIfChanged(af, updated);
-            }
-        }
+        new Setting(containerEl)
+            .setName("Required tags")
+            .setDesc(
+                "Only scan notes that have all of these tags (comma separated, nested tags count).",
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder("project")
+                    .setValue(values.requireTags)
+                    .onChange((value) => update({ requireTags: value })),
+            );
+
+        new Setting(containerEl)
+            .setName("Excluded tags")
+            .setDesc("Skip notes that have any of these tags.")
+            .addText((text) =>
+                text
+                    .setPlaceholder("template, archived")
+                    .setValue(values.excludeTags)
+                    .onChange((value) => update({ excludeTags: value })),
+            );
+
+        new Setting(containerEl)
+            .setName("Frontmatter filters")
+            .setDesc(
+                'All must hold, one per line: "key" (set), "!key" (not set), "key = value", "key != value".',
+            )
+            .addTextArea((text) =>
+                text
+                    .setPlaceholder("status != archived")
+                    .setValue(values.frontmatterFilters)
+                    .onChange((value) => update({ frontmatterFilters: value })),
+            );
     }
 
-    applyMasterEditsToSource(sourceText, type, entries) {
-        // Parse callouts with IDs but do NOT auto-insert here (avoid surprise edits from master sync).
-        const { text, callouts } = extractTrackedCallouts(sourceText, [type], {
-            autoInsertIds: false,
-        });
-        const lines = text.split(/\r?\n/);
+    updateViewSettings(index, patch, opts) {
+        return this.updateSettings((s) => {
+            s.views[index] = {
+                ...DEFAULT_VIEW_SETTINGS,
+                ...s.views[index],
+                ...patch,
+            };
+        }, opts);
+    }
 
-        const byId = new Map(callouts.map((c) => [c.blockId, c]));
+    displayViewSettings(containerEl, view, index) {
+        const update = (patch) => this.updateViewSettings(index, patch);
 
-        // Apply replacements bottom-to-top to preserve line indexes
-        const ops = [];
-        for (const e of entries) {
-            const c = byId.get(e.blockId);
-            if (!c) continue;
+        new Setting(containerEl)
+            .setName(view.path || "New view")
+            .setHeading()
+            .addExtraButton((btn) =>
+                btn
+                    .setIcon("trash")
+                    .setTooltip("Remove this view")
+                    .onClick(() =>
+                        this.updateSettings(
+                            (s) => {
+                                s.views.splice(index, 1);
+                            },
+                            { redisplay: true },
+                        ),
+                    ),
+            );
 
-            // Replace everything between the callout header line and the end of the blockquote
-            const newBodyQuoted = quoteBodyLines(e.bodyLines);
-            ops.push({
-                start: c.startLine + 1,
-                end: c.quoteEndLine,
-                insert: newBodyQuoted,
-            });
-        }
+        new Setting(containerEl)
+            .setName("View file")
+            .setDesc("Path of the master file for this view.")
+            .addText((text) =>
+                this.applyOnBlur(text)
+                    .setPlaceholder("Projects/Alpha/todo.md")
+                    .setValue(view.path)
+                    .onChange((value) =>
+                        this.updateViewSettings(
+                            index,
+                            { path: value.trim() },
+                            { apply: false },
+                        ),
+                    ),
+            );
 
-        ops.sort((a, b) => b.start - a.start);
-        for (const op of ops) {
-            lines.splice(op.start, op.end - op.start, ...op.insert);
-        }
+        new Setting(containerEl)
+            .setName("Callout types")
+            .setDesc(
+                "Comma separated tracked types. The view uses the layout of the first one.",
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder("todo")
+                    .setValue(view.types)
+                    .onChange((value) => update({ types: value })),
+            );
 
-        return lines.join("\n");
+        this.displayNoteFilterSettings(containerEl, view, update);
+
+        const textMatchDesc =
+            "Only callouts whose body contains this text, or matches /regex/flags.";
+        const textMatch = new Setting(containerEl)
+            .setName("Text match")
+            .addText((text) =>
+                text
+                    .setPlaceholder("waiting for")
+                    .setValue(view.textMatch)
+                    .onChange((value) => {
+                        this.showSettingError(
+                            textMatch,
+                            textMatchDesc,
+                            textMatchError(value),
+                        );
+                        return update({ textMatch: value });
+                    }),
+            );
+        this.showSettingError(
+            textMatch,
+            textMatchDesc,
+            textMatchError(view.textMatch),
+        );
+
+        new Setting(containerEl).setName("Checkboxes").addDropdown((dd) =>
+            dd
+                .addOptions(CHECKBOX_STATE_OPTIONS)
+                .setValue(view.checkboxState)
+                .onChange((value) => update({ checkboxState: value })),
+        );
     }
 
-    async rebuildAllMasters() {
-        const all = this.app.vault.getMarkdownFiles();
-        const masters = new Set(Array.from(this.masterPathsByType.values()));
+    displayTypeSettings(containerEl, type) {
+        const settings = this.plugin.settings;
+        const ts = typeSettings(settings, type);
 
-        // Build full lists per type
-        const gathered = new Map(this.trackedTypes.map((t) => [t, []]));
+        new Setting(containerEl)
+            .setName(type)
+            .setHeading()
+            .addExtraButton((btn) =>
+                btn
+                    .setIcon("trash")
+                    .setTooltip(`Stop tracking "${type}"`)
+                    .onClick(() =>
+                        this.updateSettings(
+                            (s) => {
+                                s.trackedTypes = s.trackedTypes.filter(
+                                    (t) => t !== type,
+                                );
+                            },
+                            { redisplay: true },
+                        ),
+                    ),
+            );
 
-        for (const f of all) {
-            if (masters.has(f.path)) continue;
+        new Setting(containerEl)
+            .setName("Master file")
+            .setDesc(
+                "Path of the master file. Leave empty for the default. Types with the same path share one combined master.",
+            )
+            .addText((text) =>
+                this.applyOnBlur(text)
+                    .setPlaceholder(
+                        masterPathForType({ ...settings, types: {} }, type),
+                    )
+                    .setValue(ts.masterPath)
+                    .onChange((value) =>
+                        this.updateTypeSettings(
+                            type,
+                            { masterPath: value.trim() },
+                            { apply: false },
+                        ),
+                    ),
+            );
 
-            const raw = await this.app.vault.cachedRead(f);
-            const { text: patched, callouts } = extractTrackedCallouts(
-                raw,
-                this.trackedTypes,
-                {
-                    autoInsertIds: true,
-                },
+        new Setting(containerEl)
+            .setName("Aliases")
+            .setDesc(
+                "Other callout identifiers exported as this type, comma-separated, e.g. task, check. Source notes keep the identifier they use.",
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder("task, check")
+                    .setValue(ts.aliases)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, { aliases: value }),
+                    ),
             );
 
-            if (patched !== raw) await this.writeFileIfChanged(f, patched);
+        new Setting(containerEl)
+            .setName("Link style")
+            .setDesc("How each entry links back to its source callout.")
+            .addDropdown((dd) =>
+                dd
+                    .addOption("markdown", "Markdown [display](path#^id)")
+                    .addOption("wikilink", "Wikilink [[path#^id|display]]")
+                    .setValue(ts.linkStyle)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, { linkStyle: value }),
+                    ),
+            );
 
-            for (const c of callouts) {
-                if (!gathered.has(c.type)) continue;
-                gathered.get(c.type).push({
-                    display: f.basename,
-                    sourcePath: f.path,
-                    blockId: c.blockId,
-                    bodyLines: c.bodyLines,
-                });
-            }
-        }
+        const placeholders = TEMPLATE_PLACEHOLDERS.map((p) => `{{${p}}}`).join(
+            ", ",
+        );
 
-        // Write masters
-        for (const [type, entries] of gathered.entries()) {
-            const mPath = this.masterPathsByType.get(type);
-            const af = this.app.vault.getAbstractFileByPath(mPath);
-            if (!(af instanceof TFile)) continue;
+        new Setting(containerEl)
+            .setName("Link text")
+            .setDesc(`Placeholders: ${placeholders}.`)
+            .addText((text) =>
+                text
+                    .setPlaceholder("{{display}}")
+                    .setValue(ts.displayTemplate)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, {
+                            displayTemplate: value,
+                        }),
+                    ),
+            );
 
-            // Stable ordering: by source path, then by block id
-            entries.sort((a, b) =>
-                (a.sourcePath + a.blockId).localeCompare(
-                    b.sourcePath + b.blockId,
-                ),
+        new Setting(containerEl)
+            .setName("Callout title")
+            .setDesc(
+                "Where a callout's title and fold state go in the master. Edits there are written back to the callout header.",
+            )
+            .addDropdown((dd) =>
+                dd
+                    .addOptions(TITLE_MODE_OPTIONS)
+                    .setValue(ts.titleMode)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, { titleMode: value }),
+                    ),
             );
 
-            const lines = [];
-            for (const e of entries) lines.push(...buildMasterChunkLines(e));
-            let out = lines.join("\n");
-            if (!out.endsWith("\n")) out += "\n";
+        const entryTemplateDesc = `First line must be {{link}}; {{body}} goes on a line of its own. Other lines are regenerated on export. Placeholders: ${placeholders}.`;
+        const entryTemplate = new Setting(containerEl)
+            .setName("Entry template")
+            .addTextArea((text) =>
+                this.applyOnBlur(text)
+                    .setPlaceholder(DEFAULT_ENTRY_TEMPLATE)
+                    .setValue(ts.entryTemplate)
+                    .onChange((value) => {
+                        const template = value || DEFAULT_ENTRY_TEMPLATE;
+                        this.showSettingError(
+                            entryTemplate,
+                            entryTemplateDesc,
+                            entryTemplateError(template),
+                        );
+                        return this.updateTypeSettings(
+                            type,
+                            { entryTemplate: template },
+                            { apply: false },
+                        );
+                    }),
+            );
+        this.showSettingError(
+            entryTemplate,
+            entryTemplateDesc,
+            entryTemplateError(ts.entryTemplate),
+        );
 
-            await this.writeFileIfChanged(af, out);
+        new Setting(containerEl)
+            .setName("Group by")
+            .setDesc(
+                "Emit a ## heading per group. Run a rebuild after changing grouping.",
+            )
+            .addDropdown((dd) =>
+                dd
+                    .addOptions(GROUP_BY_OPTIONS)
+                    .setValue(ts.groupBy)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, { groupBy: value }),
+                    ),
+            );
+
+        new Setting(containerEl)
+            .setName("Sort by")
+            .setDesc("Order of entries within each group.")
+            .addDropdown((dd) =>
+                dd
+                    .addOptions(SORT_BY_OPTIONS)
+                    .setValue(ts.sortBy)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, { sortBy: value }),
+                    ),
+            )
+            .addToggle((toggle) =>
+                toggle
+                    .setTooltip("Descending")
+                    .setValue(ts.sortDescending)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, {
+                            sortDescending: value,
+                        }),
+                    ),
+            );
+
+        new Setting(containerEl)
+            .setName("Task-aware")
+            .setDesc(
+                "Read checkboxes and Tasks metadata (📅 due, ⏫ priority, #tags) in callout bodies.",
+            )
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(ts.taskAware)
+                    .onChange((value) =>
+                        this.updateTypeSettings(
+                            type,
+                            { taskAware: value },
+                            { redisplay: true },
+                        ),
+                    ),
+            );
+
+        if (ts.taskAware) {
+            new Setting(containerEl)
+                .setName("Completed callouts")
+                .setDesc("Where callouts with every box checked go.")
+                .addDropdown((dd) =>
+                    dd
+                        .addOptions(COMPLETED_MODE_OPTIONS)
+                        .setValue(ts.completedMode)
+                        .onChange((value) =>
+                            this.updateTypeSettings(
+                                type,
+                                { completedMode: value },
+                                { redisplay: true },
+                            ),
+                        ),
+                );
+        }
+
+        if (ts.taskAware && ts.completedMode === "archive") {
+            new Setting(containerEl)
+                .setName("Archive master")
+                .setDesc("Leave empty to put it next to the master.")
+                .addText((text) =>
+                    this.applyOnBlur(text)
+                        .setPlaceholder(
+                            archivePathForType(
+                                {
+                                    ...settings,
+                                    types: {
+                                        [type]: { ...ts, archivePath: "" },
+                                    },
+                                },
+                                type,
+                            ),
+                        )
+                        .setValue(ts.archivePath)
+                        .onChange((value) =>
+                            this.updateTypeSettings(
+                                type,
+                                { archivePath: value.trim() },
+                                { apply: false },
+                            ),
+                        ),
+                );
         }
 
-        new Notice("Callout Master Export: rebuilt master files.");
+        this.displayNoteFilterSettings(containerEl, ts, (patch) =>
+            this.updateTypeSettings(type, patch),
+        );
+
+        new Setting(containerEl)
+            .setName("When an entry is deleted from the master")
+            .addDropdown((dd) =>
+                dd
+                    .addOptions(DELETE_POLICY_OPTIONS)
+                    .setValue(ts.deletePolicy)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, { deletePolicy: value }),
+                    ),
+            );
+
+        new Setting(containerEl)
+            .setName("Inbox heading")
+            .setDesc(
+                "Items typed under this ## heading in the master become new callouts. Put a line with just a note link above items to target that note. Leave empty to disable.",
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder("Inbox")
+                    .setValue(ts.inboxHeading)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, {
+                            inboxHeading: value.trim(),
+                        }),
+                    ),
+            );
+
+        new Setting(containerEl)
+            .setName("Inbox note")
+            .setDesc("Note that receives inbox items without a target link.")
+            .addText((text) =>
+                text
+                    .setPlaceholder(DEFAULT_TYPE_SETTINGS.inboxNote)
+                    .setValue(ts.inboxNote)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, {
+                            inboxNote: value.trim(),
+                        }),
+                    ),
+            );
+
+        new Setting(containerEl)
+            .setName("Header template")
+            .setDesc(
+                `Frontmatter, title or intro written when the master is created. An existing header is always preserved. Placeholders: {{type}}. End it with ${HEADER_END_MARKER} if it contains links.`,
+            )
+            .addTextArea((text) =>
+                text
+                    .setPlaceholder("# Todo")
+                    .setValue(ts.headerTemplate)
+                    .onChange((value) =>
+                        this.updateTypeSettings(type, {
+                            headerTemplate: value,
+                        }),
+                    ),
+            );
     }
 
-    async onRename(file, oldPath) {
-        // Update master links that point at oldPath → new path and display name.
-        for (const [type, masterPath] of this.masterPathsByType.entries()) {
-            const af = this.app.vault.getAbstractFileByPath(masterPath);
-            if (!(af instanceof TFile)) continue;
+    display() {
+        const { containerEl } = this;
+        const settings = this.plugin.settings;
+        containerEl.empty();
 
-            const masterText = await this.app.vault.cachedRead(af);
-            const { lines, chunks } = parseMasterChunks(masterText);
+        new Setting(containerEl)
+            .setName("Master folder")
+            .setDesc(
+                "Folder for master files without an explicit path. Leave empty for the vault root.",
+            )
+            .addText((text) =>
+                this.applyOnBlur(text)
+                    .setPlaceholder("Callouts")
+                    .setValue(settings.masterFolder)
+                    .onChange((value) =>
+                        this.updateSettings(
+                            (s) => {
+                                s.masterFolder = value.trim();
+                            },
+                            { apply: false },
+                        ),
+                    ),
+            );
 
-            const ops = [];
-            for (const ch of chunks) {
-                if (ch.sourcePath !== oldPath) continue;
+        new Setting(containerEl)
+            .setName("Confirm master deletions")
+            .setDesc(
+                "Ask before a deletion in a master changes source notes. Originals are always kept for undo.",
+            )
+            .addToggle((toggle) =>
+                toggle.setValue(settings.confirmDeletes).onChange((value) =>
+                    this.updateSettings((s) => {
+                        s.confirmDeletes = value;
+                    }),
+                ),
+            );
 
-                const newChunkLines = buildMasterChunkLines({
-                    display: file.basename,
-                    sourcePath: file.path,
-                    blockId: ch.blockId,
-                    bodyLines: ch.bodyLines,
-                });
+        new Setting(containerEl)
+            .setName("Back up files before writing")
+            .setDesc(
+                'Keep the previous version of every note and master the plugin changes, for "Restore from backup".',
+            )
+            .addToggle((toggle) =>
+                toggle.setValue(settings.backupsEnabled).onChange((value) =>
+                    this.updateSettings((s) => {
+                        s.backupsEnabled = value;
+                    }),
+                ),
+            );
 
-                ops.push({
-                    start: ch.start,
-                    end: ch.end,
-                    insert: newChunkLines,
-                });
-            }
+        new Setting(containerEl)
+            .setName("Backup retention")
+            .setDesc(
+                "Write batches to keep, and their maximum age in days (0 for no age limit).",
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder(String(DEFAULT_SETTINGS.backupMaxBatches))
+                    .setValue(String(settings.backupMaxBatches))
+                    .onChange((value) =>
+                        this.updateSettings((s) => {
+                            s.backupMaxBatches =
+                                parseInt(value, 10) ||
+                                DEFAULT_SETTINGS.backupMaxBatches;
+                        }),
+                    ),
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder(String(DEFAULT_SETTINGS.backupMaxDays))
+                    .setValue(String(settings.backupMaxDays))
+                    .onChange((value) =>
+                        this.updateSettings((s) => {
+                            const days = parseInt(value, 10);
+                            s.backupMaxDays = Number.isFinite(days)
+                                ? Math.max(0, days)
+                                : DEFAULT_SETTINGS.backupMaxDays;
+                        }),
+                    ),
+            );
 
-            if (!ops.length) continue;
+        new Setting(containerEl).setName("Exports").setHeading();
 
-            ops.sort((a, b) => b.start - a.start);
-            for (const op of ops)
-                lines.splice(op.start, op.end - op.start, ...op.insert);
+        new Setting(containerEl)
+            .setName("Export folder")
+            .setDesc(
+                "Where the export commands write one file per callout type.",
+            )
+            .addText((text) =>
+                text
+                    .setPlaceholder(DEFAULT_SETTINGS.exportFolder)
+                    .setValue(settings.exportFolder)
+                    .onChange((value) =>
+                        this.updateSettings((s) => {
+                            s.exportFolder = value.trim();
+                        }),
+                    ),
+            );
 
-            let out = lines.join("\n");
-            if (!out.endsWith("\n")) out += "\n";
-            await this.writeFileIfChanged(af, out);
+        for (const [format, label] of Object.entries(EXPORT_FORMATS)) {
+            new Setting(containerEl)
+                .setName(`Regenerate ${label} on every sync`)
+                .setDesc(
+                    format === "ics"
+                        ? "VTODO entries for checkbox items with a due date."
+                        : `Type, block ID, path, title, body and checkbox state of every tracked callout.`,
+                )
+                .addToggle((toggle) =>
+                    toggle
+                        .setValue(settings.autoExport[format])
+                        .onChange((value) =>
+                            this.updateSettings((s) => {
+                                s.autoExport = {
+                                    ...s.autoExport,
+                                    [format]: value,
+                                };
+                            }),
+                        ),
+                );
         }
-    }
 
-    async onDelete(deletedPath) {
-        // Remove chunks referencing deletedPath from all masters.
-        for (const [type, masterPath] of this.masterPathsByType.entries()) {
-            const af = this.app.vault.getAbstractFileByPath(masterPath);
-            if (!(af instanceof TFile)) continue;
+        new Setting(containerEl).setName("Tracked callout types").setHeading();
 
-            const masterText = await this.app.vault.cachedRead(af);
-            const { lines, chunks } = parseMasterChunks(masterText);
+        for (const type of settings.trackedTypes) {
+            this.displayTypeSettings(containerEl, type);
+        }
 
-            const ops = chunks
-                .filter((ch) => ch.sourcePath === deletedPath)
-                .map((ch) => ({ start: ch.start, end: ch.end, insert: [] }));
+        let pending = "";
+        new Setting(containerEl)
+            .setName("Add callout type")
+            .setDesc("Identifier as written in the callout, e.g. question.")
+            .addText((text) =>
+                text.setPlaceholder("question").onChange((value) => {
+                    pending = value;
+                }),
+            )
+            .addButton((btn) =>
+                btn
+                    .setButtonText("Add")
+                    .setCta()
+                    .onClick(() => {
+                        const [type] = uniqLower([pending]);
+                        if (!type) return;
+                        if (!/^[^\]\s]+$/.test(type)) {
+                            new Notice(
+                                `Callout exporter: "${type}" is not a valid callout identifier.`,
+                            );
+                            return;
+                        }
+                        this.updateSettings(
+                            (s) => {
+                                s.trackedTypes = uniqLower([
+                                    ...s.trackedTypes,
+                                    type,
+                                ]);
+                            },
+                            { redisplay: true },
+                        );
+                    }),
+            );
 
-            if (!ops.length) continue;
+        new Setting(containerEl).setName("Views").setHeading();
 
-            ops.sort((a, b) => b.start - a.start);
-            for (const op of ops) lines.splice(op.start, op.end - op.start);
+        settings.views.forEach((view, index) =>
+            this.displayViewSettings(containerEl, view, index),
+        );
 
-            let out = lines.join("\n");
-            if (!out.endsWith("\n")) out += "\n";
-            await this.writeFileIfChanged(af, out);
-        }
+        new Setting(containerEl)
+            .setName("Add view")
+            .setDesc(
+                "Another master file showing only the callouts that pass a filter. Rebuild after setting it up.",
+            )
+            .addButton((btn) =>
+                btn.setButtonText("Add").onClick(() =>
+                    this.updateSettings(
+                        (s) => {
+                            s.views.push({ ...DEFAULT_VIEW_SETTINGS });
+                        },
+                        { redisplay: true },
+                    ),
+                ),
+            );
     }
-};
+}
+
+module.exports = CalloutMasterExportPlugin;